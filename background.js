@@ -6,16 +6,26 @@
  * Paywall/auth support: captures request headers (cookies, auth tokens, referer)
  * from the original page context and forwards them when downloading HLS/DASH
  * segments, enabling downloads from subscription/paywall sites.
+ *
+ * HLS/DASH downloads and recordings run in an offscreen document
+ * (offscreen.js), which outlives the worker; the worker hands them over
+ * together with the tab's captured headers and starts the finished downloads.
+ * Downloads wait in a queue that limits how many run at once and lets the
+ * popup pause, resume, reorder and cancel them.  HLS downloads the offscreen
+ * document stores (lib/jobstore.js) that are in neither are paused: the
+ * popup can resume them, with headers captured afresh from the page.
  */
 
+import { parseM3U8Master, parseM3U8Subtitles } from './lib/hls.js';
+import { parseMPD } from './lib/dash.js';
+import { tabRequestHeaders, authenticatedFetch } from './lib/fetch.js';
+import { formatFilename, filenameVariables } from './lib/filename.js';
+import { StoredJob } from './lib/jobstore.js';
+
 // ── Per-tab video store ──────────────────────────────────────────────────────
 // Map<tabId, Map<videoId, VideoEntry>>
 const tabVideos = new Map();
 
-// ── Per-tab captured request headers (for authenticated downloads) ───────────
-// Map<tabId, { cookies, referer, origin, authorization, customHeaders }>
-const tabRequestHeaders = new Map();
-
 // Video entry structure:
 // { id, url, type, quality, size, filename, pageUrl, pageTitle, timestamp, headers }
 
@@ -28,6 +38,9 @@ const AUDIO_EXTENSIONS = /\.(mp3|aac|ogg|wav|flac|m4a|opus|wma)(\?|$)/i;
 // Minimum size in bytes to consider (filters out tiny tracking pixels etc.)
 const MIN_VIDEO_SIZE = 100 * 1024; // 100KB
 
+// Name of a video whose URL has no filename in it
+const DEFAULT_FILENAME = 'video';
+
 // ── Settings ─────────────────────────────────────────────────────────────────
 let settings = {
   blacklistedDomains: [],
@@ -35,8 +48,15 @@ let settings = {
   autoDetect: true,
   showNotifications: true,
   maxConcurrentDownloads: 3,
+  maxConcurrentJobs: 2,
   preferredQuality: 'highest',
   filenameTemplate: '{title} - {quality}',
+  filenameConflict: 'uniquify',
+  hlsOutputFormat: 'mp4',
+  recordFromStart: false,
+  subtitleFormat: 'vtt',
+  preferredAudioLanguage: '',
+  skipAdPeriods: false,
 };
 
 chrome.storage.sync.get('settings', (result) => {
@@ -48,6 +68,7 @@ chrome.storage.sync.get('settings', (result) => {
 chrome.storage.onChanged.addListener((changes) => {
   if (changes.settings) {
     settings = { ...settings, ...changes.settings.newValue };
+    pumpQueue(); // maxConcurrentJobs may have grown
   }
 });
 
@@ -132,6 +153,7 @@ function updateBadge(tabId) {
 
 // ── Register a detected video ────────────────────────────────────────────────
 
+// Returns the tab's entry for the video, or undefined when it is not listed
 function registerVideo(tabId, videoInfo) {
   if (!settings.autoDetect) return;
   if (isBlacklisted(videoInfo.url)) return;
@@ -147,7 +169,7 @@ function registerVideo(tabId, videoInfo) {
     const existingNorm = existing.type === 'hls' || existing.type === 'dash'
       ? existing.url.split('?')[0]
       : existing.url;
-    if (existingNorm === normalizedUrl) return;
+    if (existingNorm === normalizedUrl) return existing;
   }
 
   const entry = {
@@ -157,7 +179,7 @@ function registerVideo(tabId, videoInfo) {
     quality: videoInfo.quality || guessQuality(videoInfo.url, videoInfo.headers),
     size: videoInfo.size || 0,
     sizeFormatted: formatSize(videoInfo.size || 0),
-    filename: videoInfo.filename || extractFilename(videoInfo.url) || 'video',
+    filename: videoInfo.filename || extractFilename(videoInfo.url) || DEFAULT_FILENAME,
     pageUrl: videoInfo.pageUrl || '',
     pageTitle: videoInfo.pageTitle || '',
     contentType: videoInfo.contentType || '',
@@ -165,6 +187,8 @@ function registerVideo(tabId, videoInfo) {
     headers: videoInfo.headers || {},
     duration: videoInfo.duration || null,
     resolution: videoInfo.resolution || null,
+    // {n} of the filename template: the order videos were found in on the page
+    number: Math.max(0, ...Array.from(videos.values(), v => v.number)) + 1,
   };
 
   videos.set(entry.id, entry);
@@ -185,6 +209,7 @@ function registerVideo(tabId, videoInfo) {
       message: `Video detected: ${entry.filename}`,
     });
   }
+  return entry;
 }
 
 // ── Network Request Interception ─────────────────────────────────────────────
@@ -239,7 +264,7 @@ chrome.webRequest.onHeadersReceived.addListener(
 // ── Capture outgoing request headers for auth-gated streams ──────────────────
 // When the browser sends a request for a video resource, it includes cookies,
 // auth tokens, and referer. We capture these so we can re-use them when
-// downloading HLS/DASH segments from the service worker.
+// downloading HLS/DASH segments from the offscreen document.
 //
 // IMPORTANT: We capture headers broadly (not just for video URLs) because
 // paywall sites like The Great Courses use API endpoints that don't match
@@ -399,24 +424,162 @@ const messageHandlers = {
     return { ok: true };
   },
 
-  // Download a video
+  // Download a video; HLS/DASH answer { started } and finish with jobFinished
   downloadVideo: async (msg) => {
     const { video, tabId } = msg;
     if (!video) return { error: 'No video specified' };
 
     try {
-      if (video.type === 'hls') {
-        return await downloadHLS(video, tabId);
-      } else if (video.type === 'dash') {
-        return await downloadDASH(video, tabId);
-      } else {
-        return await downloadDirect(video);
+      // The page's title names the file; its URL is stored with HLS/DASH
+      // jobs, to find the page again should they be resumed
+      const page = await pageOf(tabId);
+      const named = { ...video, pageUrl: video.pageUrl || page.url, pageTitle: video.pageTitle || page.title };
+      if (video.type === 'hls' || video.type === 'dash') {
+        return await enqueueJob({
+          job: 'downloadVideo',
+          videoId: video.id,
+          filename: video.filename,
+          type: video.type,
+          msg: { video: named, tabId },
+        });
       }
+      return await downloadDirect(named);
     } catch (err) {
       return { error: err.message };
     }
   },
 
+  // Record a live HLS/DASH stream until stopped; the saved file is reported
+  // with jobFinished
+  startRecording: async (msg) => {
+    const { video } = msg;
+    if (!video) return { error: 'No video specified' };
+    if (video.type !== 'hls' && video.type !== 'dash') return { error: 'Only HLS and DASH streams can be recorded' };
+
+    try {
+      return await startOffscreenJob('startRecording', msg, video.url);
+    } catch (err) {
+      return { error: err.message };
+    }
+  },
+
+  // Stop a live recording; its job saves the file
+  stopRecording: async (msg) => {
+    if (!(await hasOffscreenDocument())) return { error: 'Not recording' };
+    return sendToOffscreen({ action: 'stopRecording', videoId: msg.videoId });
+  },
+
+  // Recordings in progress, so a reopened popup can show them
+  getRecordings: async () => {
+    if (!(await hasOffscreenDocument())) return { recordings: [] };
+    return sendToOffscreen({ action: 'getRecordings' });
+  },
+
+  // Stored downloads that are neither running nor queued, e.g. since the
+  // browser restarted
+  getPausedJobs: async () => {
+    await queueLoaded;
+    const busy = new Set([...(await runningJobIds()), ...downloadQueue.map(entry => entry.jobId)]);
+    // Until its playlists are stored, a job has nothing to resume from
+    const jobs = (await StoredJob.list()).filter(job => job.playlists && !busy.has(job.id));
+    return {
+      jobs: jobs.map(job => ({
+        id: job.id,
+        filename: job.video.filename,
+        type: job.video.type,
+        done: job.done || 0,
+        total: job.total || 0,
+        error: job.error,
+      })),
+    };
+  },
+
+  // Queue a paused download; it answers { queued } and finishes with
+  // jobFinished for the job's id
+  resumeJob: async (msg) => {
+    const job = (await StoredJob.list()).find(stored => stored.id === msg.jobId);
+    if (!job) return { error: 'This download can no longer be resumed' };
+    if ((await runningJobIds()).includes(job.id)) return { error: 'Already in progress' };
+
+    return enqueueJob({
+      job: 'resumeDownload',
+      videoId: job.id,
+      filename: job.video.filename,
+      type: job.video.type,
+      jobId: job.id,
+    });
+  },
+
+  // Delete a paused download and its segments
+  discardJob: async (msg) => {
+    await queueLoaded;
+    if (downloadQueue.some(entry => entry.jobId === msg.jobId)) return { error: 'The download is in the queue' };
+    if ((await runningJobIds()).includes(msg.jobId)) return { error: 'The download is running' };
+    await StoredJob.remove(msg.jobId);
+    return { ok: true };
+  },
+
+  // The download queue, for the popup; changes are broadcast as queueChanged
+  getQueue: async () => {
+    await queueLoaded;
+    return { queue: queueSummary() };
+  },
+
+  pauseQueuedJob: async (msg) => {
+    const entry = await findQueueEntry(msg.id);
+    if (!entry) return { error: 'Not in the queue' };
+    if (entry.state === 'queued') {
+      entry.state = 'paused';
+      saveQueue();
+    } else if (entry.state === 'running') {
+      await stopQueuedJob(entry, 'pause');
+    }
+    return { ok: true };
+  },
+
+  resumeQueuedJob: async (msg) => {
+    const entry = await findQueueEntry(msg.id);
+    if (!entry) return { error: 'Not in the queue' };
+    if (entry.state === 'paused') {
+      entry.state = 'queued';
+      pumpQueue();
+    }
+    return { ok: true };
+  },
+
+  // Cancel a download; a running one stops and loses its stored segments
+  cancelQueuedJob: async (msg) => {
+    const entry = await findQueueEntry(msg.id);
+    if (!entry) return { error: 'Not in the queue' };
+    if (entry.state === 'running') {
+      await stopQueuedJob(entry, 'cancel');
+      return { ok: true };
+    }
+    downloadQueue.splice(downloadQueue.indexOf(entry), 1);
+    if (entry.jobId) await StoredJob.remove(entry.jobId);
+    saveQueue();
+    reportJobFinished(entry, { error: 'Download cancelled', cancelled: true });
+    return { ok: true };
+  },
+
+  // Move a download `offset` places towards the end of the queue (or the start if negative)
+  moveQueuedJob: async (msg) => {
+    const entry = await findQueueEntry(msg.id);
+    if (!entry) return { error: 'Not in the queue' };
+    const from = downloadQueue.indexOf(entry);
+    const to = Math.max(0, Math.min(downloadQueue.length - 1, from + msg.offset));
+    downloadQueue.splice(from, 1);
+    downloadQueue.splice(to, 0, entry);
+    saveQueue();
+    return { ok: true };
+  },
+
+  // A job of the offscreen document has ended, successfully or not
+  jobFinished: (msg, sender) => {
+    if (sender.url !== OFFSCREEN_URL) return;
+    finishQueuedJob(msg);
+  },
+
   // Get available qualities for HLS (with auth)
   getHLSQualities: async (msg) => {
     try {
@@ -426,7 +589,22 @@ const messageHandlers = {
         ? await authenticatedFetch(msg.url, tabId)
         : await fetch(msg.url);
       const text = await response.text();
-      return { qualities: parseM3U8Master(text, msg.url) };
+      return {
+        qualities: parseM3U8Master(text, msg.url),
+        subtitles: parseM3U8Subtitles(text, msg.url),
+      };
+    } catch (err) {
+      return { error: err.message };
+    }
+  },
+
+  // Download one HLS subtitle rendition as a single .vtt/.srt file
+  downloadSubtitles: async (msg) => {
+    const { video, subtitle } = msg;
+    if (!video || !subtitle) return { error: 'No subtitle track specified' };
+
+    try {
+      return await startOffscreenJob('downloadSubtitles', msg, subtitle.url);
     } catch (err) {
       return { error: err.message };
     }
@@ -468,249 +646,33 @@ const messageHandlers = {
     }
     return { ok: true };
   },
-};
-
-// ── HLS Parsing ──────────────────────────────────────────────────────────────
-
-function resolveUrl(base, relative) {
-  try {
-    return new URL(relative, base).href;
-  } catch {
-    return relative;
-  }
-}
 
-function parseM3U8Master(content, baseUrl) {
-  const lines = content.split('\n').map(l => l.trim());
-  const qualities = [];
-
-  // First pass: collect #EXT-X-MEDIA audio renditions mapped by GROUP-ID
-  // These are used by demuxed HLS streams (separate video + audio playlists)
-  // e.g. thegreatcourses.com / Wondrium streams use this pattern
-  const audioGroups = {}; // { groupId: uri }
-  for (const line of lines) {
-    if (line.startsWith('#EXT-X-MEDIA:')) {
-      const typeMatch = line.match(/TYPE=([A-Z-]+)/);
-      if (typeMatch && typeMatch[1] === 'AUDIO') {
-        const groupMatch = line.match(/GROUP-ID="([^"]+)"/);
-        const uriMatch = line.match(/URI="([^"]+)"/);
-        if (groupMatch && uriMatch && !audioGroups[groupMatch[1]]) {
-          audioGroups[groupMatch[1]] = resolveUrl(baseUrl, uriMatch[1]);
-        }
-      }
-    }
-  }
-
-  // Second pass: parse #EXT-X-STREAM-INF video variants
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (line.startsWith('#EXT-X-STREAM-INF:')) {
-      const attrs = line.substring('#EXT-X-STREAM-INF:'.length);
-      const bwMatch = attrs.match(/BANDWIDTH=(\d+)/);
-      const resMatch = attrs.match(/RESOLUTION=(\d+x\d+)/);
-      const nameMatch = attrs.match(/NAME="([^"]+)"/);
-      // AUDIO attribute links this variant to an audio rendition group
-      const audioMatch = attrs.match(/AUDIO="([^"]+)"/);
-
-      // Next non-comment line is the URL
-      let urlLine = '';
-      for (let j = i + 1; j < lines.length; j++) {
-        if (lines[j] && !lines[j].startsWith('#')) {
-          urlLine = lines[j];
-          break;
-        }
-      }
-
-      if (urlLine) {
-        const bandwidth = bwMatch ? parseInt(bwMatch[1], 10) : 0;
-        const resolution = resMatch ? resMatch[1] : null;
-        const height = resolution ? parseInt(resolution.split('x')[1], 10) : 0;
-
-        // Resolve the audio stream URL for this variant (null if muxed)
-        const audioGroupId = audioMatch ? audioMatch[1] : null;
-        const audioUrl = audioGroupId && audioGroups[audioGroupId]
-          ? audioGroups[audioGroupId]
-          : null;
-
-        qualities.push({
-          url: resolveUrl(baseUrl, urlLine),
-          bandwidth,
-          resolution,
-          height,
-          label: nameMatch ? nameMatch[1] : (height ? `${height}p` : `${Math.round(bandwidth / 1000)}kbps`),
-          audioUrl, // non-null when video/audio are in separate playlists
-        });
-      }
-    }
-  }
-
-  // Sort by bandwidth descending
-  qualities.sort((a, b) => b.bandwidth - a.bandwidth);
-  return qualities;
-}
-
-function parseM3U8Segments(content, baseUrl) {
-  const lines = content.split('\n').map(l => l.trim());
-  const segments = [];
-  let currentDuration = 0;
-
-  for (const line of lines) {
-    if (line.startsWith('#EXTINF:')) {
-      currentDuration = parseFloat(line.split(':')[1]);
-    } else if (line && !line.startsWith('#')) {
-      segments.push({
-        url: resolveUrl(baseUrl, line),
-        duration: currentDuration,
-      });
-      currentDuration = 0;
-    }
-  }
-
-  return segments;
-}
-
-// ── DASH Parsing ─────────────────────────────────────────────────────────────
-
-function parseMPD(content, baseUrl) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(content, 'application/xml');
-  const qualities = [];
-
-  const adaptationSets = doc.querySelectorAll('AdaptationSet');
-  for (const as of adaptationSets) {
-    const mimeType = as.getAttribute('mimeType') || '';
-    const isVideo = mimeType.startsWith('video') || as.getAttribute('contentType') === 'video';
-    const isAudio = mimeType.startsWith('audio') || as.getAttribute('contentType') === 'audio';
-
-    const representations = as.querySelectorAll('Representation');
-    for (const rep of representations) {
-      const bandwidth = parseInt(rep.getAttribute('bandwidth') || '0', 10);
-      const width = parseInt(rep.getAttribute('width') || '0', 10);
-      const height = parseInt(rep.getAttribute('height') || '0', 10);
-      const codecs = rep.getAttribute('codecs') || as.getAttribute('codecs') || '';
-      const id = rep.getAttribute('id') || '';
-
-      // Get base URL for this representation
-      const repBaseUrl = rep.querySelector('BaseURL');
-      const asBaseUrl = as.querySelector('BaseURL');
-      const periodBaseUrl = doc.querySelector('Period > BaseURL');
-
-      let segmentUrl = '';
-      if (repBaseUrl) segmentUrl = resolveUrl(baseUrl, repBaseUrl.textContent.trim());
-      else if (asBaseUrl) segmentUrl = resolveUrl(baseUrl, asBaseUrl.textContent.trim());
-      else if (periodBaseUrl) segmentUrl = resolveUrl(baseUrl, periodBaseUrl.textContent.trim());
-
-      // Check for SegmentTemplate
-      const segTemplate = rep.querySelector('SegmentTemplate') || as.querySelector('SegmentTemplate');
-
-      qualities.push({
-        id,
-        url: segmentUrl || baseUrl,
-        bandwidth,
-        width,
-        height,
-        resolution: width && height ? `${width}x${height}` : null,
-        codecs,
-        mimeType: rep.getAttribute('mimeType') || mimeType,
-        isVideo,
-        isAudio,
-        label: isVideo
-          ? (height ? `${height}p (${codecs})` : `${Math.round(bandwidth / 1000)}kbps`)
-          : `Audio ${Math.round(bandwidth / 1000)}kbps (${codecs})`,
-        segmentTemplate: segTemplate ? {
-          initialization: segTemplate.getAttribute('initialization'),
-          media: segTemplate.getAttribute('media'),
-          startNumber: parseInt(segTemplate.getAttribute('startNumber') || '1', 10),
-          timescale: parseInt(segTemplate.getAttribute('timescale') || '1', 10),
-          duration: parseInt(segTemplate.getAttribute('duration') || '0', 10),
-        } : null,
+  // Start saving a file for the offscreen document, which has no chrome.downloads
+  saveDownload: async (msg, sender) => {
+    if (sender.url !== OFFSCREEN_URL) return { error: 'Not allowed' };
+    try {
+      const downloadId = await chrome.downloads.download({
+        url: msg.url,
+        filename: msg.filename,
+        saveAs: msg.saveAs === true,
+        conflictAction: settings.filenameConflict,
       });
+      return { downloadId };
+    } catch (err) {
+      return { error: err.message };
     }
-  }
+  },
 
-  qualities.sort((a, b) => b.bandwidth - a.bandwidth);
-  return qualities;
-}
+  // The offscreen document has no jobs or pending blobs left
+  offscreenIdle: (msg, sender) => {
+    if (sender.url !== OFFSCREEN_URL) return;
+    closeOffscreenIfIdle();
+    return { ok: true };
+  },
+};
 
 // ── Download Functions ───────────────────────────────────────────────────────
 
-/**
- * Build fetch options with captured auth headers from the original page session.
- * This is the KEY mechanism for paywall/subscription site support:
- * - Forwards cookies so CDN thinks request comes from authenticated session
- * - Forwards Authorization headers (Bearer tokens, Basic auth, etc.)
- * - Forwards Referer so CDN doesn't reject the request as hotlinking
- * - Forwards Origin for CORS-protected streams
- * - Forwards custom X-* headers that CDNs use for token validation
- */
-function buildAuthHeaders(tabId, targetUrl) {
-  const captured = tabRequestHeaders.get(tabId) || {};
-  const headers = {};
-
-  // Forward cookie for same-origin and same-domain segment requests
-  if (captured.cookie) {
-    headers['Cookie'] = captured.cookie;
-  }
-
-  // Forward authorization (Bearer/Basic tokens used by APIs like Wondrium, Udemy, etc.)
-  if (captured.authorization) {
-    headers['Authorization'] = captured.authorization;
-  }
-
-  // Forward referer (CDNs like Akamai/CloudFront check this to prevent hotlinking)
-  if (captured.referer) {
-    headers['Referer'] = captured.referer;
-  }
-
-  // Forward origin for CORS
-  if (captured.origin) {
-    headers['Origin'] = captured.origin;
-  }
-
-  // Forward custom CDN token headers (e.g., x-playback-session-id, x-custom-token)
-  if (captured.custom) {
-    for (const [name, value] of Object.entries(captured.custom)) {
-      if (name.toLowerCase() !== 'range') { // don't forward range headers
-        headers[name] = value;
-      }
-    }
-  }
-
-  return headers;
-}
-
-/**
- * Fetch with authentication — wraps fetch() with captured headers.
- * Falls back to unauthenticated fetch if authenticated request fails.
- */
-async function authenticatedFetch(url, tabId, extraOpts = {}) {
-  const authHeaders = buildAuthHeaders(tabId, url);
-  const hasAuth = Object.keys(authHeaders).length > 0;
-
-  const fetchOpts = {
-    ...extraOpts,
-    headers: { ...authHeaders, ...(extraOpts.headers || {}) },
-    credentials: 'include', // include cookies for same-origin requests
-  };
-
-  try {
-    const resp = await fetch(url, fetchOpts);
-    if (resp.ok) return resp;
-
-    // If auth fetch got 403/401, try without auth headers (the URL itself may have tokens)
-    if (hasAuth && (resp.status === 403 || resp.status === 401)) {
-      return await fetch(url, { credentials: 'include' });
-    }
-    return resp;
-  } catch (err) {
-    // If authenticated fetch threw a network error (CORS), retry without custom headers
-    if (hasAuth) {
-      return await fetch(url, { credentials: 'include' });
-    }
-    throw err;
-  }
-}
-
 /**
  * Get cookies from chrome.cookies API for a specific URL.
  * Used as a fallback when we didn't capture headers from webRequest.
@@ -751,437 +713,275 @@ async function ensureAuthHeaders(tabId, url) {
   }
 }
 
-async function downloadDirect(video, tabId) {
-  const filename = sanitizeFilename(video.filename || 'video.mp4');
+// { url, title } of a tab's page
+async function pageOf(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return { url: tab.url || '', title: tab.title || '' };
+  } catch {
+    return { url: '', title: '' }; // tab may not exist
+  }
+}
+
+// Saved under the filename template, with Save As only when video.saveAs
+async function downloadDirect(video) {
+  const ext = (video.filename || '').match(/\.\w{2,4}$/)?.[0] || '.mp4';
+  const filename = formatFilename(settings.filenameTemplate || '', filenameVariables(video), ext);
 
   // For direct downloads, chrome.downloads will send cookies automatically
   // if the user is authenticated in the browser session
   const downloadId = await chrome.downloads.download({
     url: video.url,
     filename: filename,
-    saveAs: true,
+    saveAs: video.saveAs === true,
+    conflictAction: settings.filenameConflict,
   });
 
   return { ok: true, downloadId };
 }
 
-async function downloadHLS(video, tabId) {
-  // Ensure we have auth headers before starting
-  await ensureAuthHeaders(tabId, video.url);
-
-  // First fetch the m3u8 with authentication
-  const response = await authenticatedFetch(video.url, tabId);
-  if (!response.ok) return { error: `Failed to fetch manifest: HTTP ${response.status}` };
-  const content = await response.text();
-  const qualities = parseM3U8Master(content, video.url);
+// ── Offscreen document ───────────────────────────────────────────────────────
+// The service worker may be stopped at any time, so HLS/DASH jobs run in an
+// offscreen document that lives until its jobs are done and their files
+// saved.  Messages for it carry `target: 'offscreen'`.
 
-  if (qualities.length > 0) {
-    // It's a master playlist - use the best quality or user-selected
-    const selected = video.selectedQuality
-      ? qualities.find(q => q.url === video.selectedQuality)
-      : qualities[0];
+const OFFSCREEN_URL = chrome.runtime.getURL('offscreen.html');
 
-    if (!selected) return { error: 'Quality not found' };
+let creatingOffscreen = null;
 
-    // Fetch the media playlist with authentication
-    const mediaResp = await authenticatedFetch(selected.url, tabId);
-    if (!mediaResp.ok) return { error: `Failed to fetch media playlist: HTTP ${mediaResp.status}` };
-    const mediaContent = await mediaResp.text();
+// Jobs handed to the offscreen document that it has not acknowledged yet
+let startingJobs = 0;
 
-    // Demuxed HLS: separate video and audio playlists (e.g. thegreatcourses.com)
-    if (selected.audioUrl) {
-      return await downloadHLSDemuxed(mediaContent, selected.url, selected.audioUrl, video, tabId);
-    }
-
-    return await downloadHLSSegments(mediaContent, selected.url, video, tabId);
-  }
-
-  // It's already a media playlist
-  return await downloadHLSSegments(content, video.url, video, tabId);
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [OFFSCREEN_URL],
+  });
+  return contexts.length > 0;
 }
 
-async function downloadHLSSegments(content, baseUrl, video, tabId) {
-  const segments = parseM3U8Segments(content, baseUrl);
-  if (segments.length === 0) return { error: 'No segments found' };
-
-  // Parse encryption key if present (many paywall sites use AES-128 encrypted HLS)
-  const keyInfo = parseM3U8Key(content, baseUrl);
-
-  let decryptionKey = null;
-  if (keyInfo && keyInfo.uri) {
-    try {
-      const keyResp = await authenticatedFetch(keyInfo.uri, tabId);
-      if (keyResp.ok) {
-        decryptionKey = await keyResp.arrayBuffer();
-      }
-    } catch { /* decryption not available */ }
-  }
-
-  // Notify progress
-  broadcastProgress(video.id, 0, segments.length);
-
-  const chunks = [];
-  const batchSize = settings.maxConcurrentDownloads || 3;
-  let failureCount = 0;
-
-  for (let i = 0; i < segments.length; i += batchSize) {
-    const batch = segments.slice(i, i + batchSize);
-    const results = await Promise.all(
-      batch.map(async (seg) => {
-        // Each segment request uses authenticated fetch with cookies/tokens
-        const resp = await authenticatedFetch(seg.url, tabId);
-        if (!resp.ok) {
-          failureCount++;
-          if (failureCount > 5) throw new Error(`Too many segment failures (${resp.status})`);
-          return null; // skip this segment
-        }
-        let data = await resp.arrayBuffer();
-
-        // If HLS uses AES-128 encryption, decrypt segment
-        if (decryptionKey && keyInfo) {
-          data = await decryptSegment(data, decryptionKey, keyInfo.iv, i + batch.indexOf(seg));
-        }
-
-        return data;
-      })
-    );
-    chunks.push(...results.filter(Boolean));
-    broadcastProgress(video.id, Math.min(i + batchSize, segments.length), segments.length);
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['BLOBS'],
+      justification: 'Download and assemble HLS/DASH streams into files',
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
   }
+  await creatingOffscreen;
+}
 
-  if (chunks.length === 0) return { error: 'No segments downloaded — authentication may have expired' };
-
-  // Merge all segments into one blob
-  const merged = new Blob(chunks, { type: 'video/mp2t' });
-  const blobUrl = URL.createObjectURL(merged);
-
-  const filename = sanitizeFilename(
-    (video.filename || 'video').replace(/\.(m3u8?|ts)$/i, '') + '.ts'
-  );
-
-  const downloadId = await chrome.downloads.download({
-    url: blobUrl,
-    filename: filename,
-    saveAs: true,
-  });
-
-  // Clean up blob URL after download starts
-  setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
-
-  return { ok: true, downloadId, segmentCount: segments.length };
+function sendToOffscreen(message) {
+  return chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
 }
 
 /**
- * Download demuxed HLS streams — separate video and audio playlists.
- *
- * Sites like thegreatcourses.com / Wondrium use HLS master playlists with
- * #EXT-X-MEDIA:TYPE=AUDIO pointing to a separate audio .m3u8, while each
- * #EXT-X-STREAM-INF variant only contains the video track.  Fetching only
- * the video playlist produces a silent file.  This function downloads both
- * tracks concurrently and saves them as two files (_video.ts + _audio.ts).
- *
- * Merge with FFmpeg:
- *   ffmpeg -i NAME_video.ts -i NAME_audio.ts -c copy output.mp4
+ * Hand a download or recording to the offscreen document, along with the
+ * settings and the auth headers captured for the tab, which take precedence
+ * over `msg.headers`.  Resolves to { started: true } once the job is running.
  */
-async function downloadHLSDemuxed(videoPlaylistContent, videoPlaylistUrl, audioPlaylistUrl, video, tabId) {
-  // Fetch the audio playlist
-  const audioResp = await authenticatedFetch(audioPlaylistUrl, tabId);
-  if (!audioResp.ok) {
-    // Graceful fallback: download video-only and surface a warning
-    const result = await downloadHLSSegments(videoPlaylistContent, videoPlaylistUrl, video, tabId);
-    return { ...result, warning: 'Audio playlist unavailable — downloaded video track only' };
-  }
-  const audioPlaylistContent = await audioResp.text();
-
-  const videoSegments = parseM3U8Segments(videoPlaylistContent, videoPlaylistUrl);
-  const audioSegments = parseM3U8Segments(audioPlaylistContent, audioPlaylistUrl);
-
-  if (videoSegments.length === 0) return { error: 'No video segments found in media playlist' };
-
-  // Parse per-stream AES-128 encryption keys (if any)
-  const videoKeyInfo = parseM3U8Key(videoPlaylistContent, videoPlaylistUrl);
-  const audioKeyInfo = parseM3U8Key(audioPlaylistContent, audioPlaylistUrl);
-
-  let videoDecryptionKey = null;
-  let audioDecryptionKey = null;
-
-  if (videoKeyInfo?.uri) {
-    try {
-      const kr = await authenticatedFetch(videoKeyInfo.uri, tabId);
-      if (kr.ok) videoDecryptionKey = await kr.arrayBuffer();
-    } catch { /* unencrypted or key unavailable */ }
-  }
-  if (audioKeyInfo?.uri) {
-    try {
-      const kr = await authenticatedFetch(audioKeyInfo.uri, tabId);
-      if (kr.ok) audioDecryptionKey = await kr.arrayBuffer();
-    } catch { /* unencrypted or key unavailable */ }
-  }
-
-  const totalSegments = videoSegments.length + audioSegments.length;
-  broadcastProgress(video.id, 0, totalSegments);
-
-  const batchSize = settings.maxConcurrentDownloads || 3;
-  let completed = 0;
-
-  // ── Download video segments ──────────────────────────────────────────────
-  const videoChunks = [];
-  let videoFailures = 0;
-
-  for (let i = 0; i < videoSegments.length; i += batchSize) {
-    const batch = videoSegments.slice(i, i + batchSize);
-    const results = await Promise.all(
-      batch.map(async (seg, batchIdx) => {
-        const resp = await authenticatedFetch(seg.url, tabId);
-        if (!resp.ok) {
-          videoFailures++;
-          if (videoFailures > 5) throw new Error(`Too many video segment failures (HTTP ${resp.status})`);
-          return null;
-        }
-        let data = await resp.arrayBuffer();
-        if (videoDecryptionKey && videoKeyInfo) {
-          data = await decryptSegment(data, videoDecryptionKey, videoKeyInfo.iv, i + batchIdx);
-        }
-        return data;
-      })
-    );
-    videoChunks.push(...results.filter(Boolean));
-    completed += batch.length;
-    broadcastProgress(video.id, completed, totalSegments);
-  }
-
-  if (videoChunks.length === 0) return { error: 'No video segments downloaded — auth may have expired' };
-
-  // ── Download audio segments ──────────────────────────────────────────────
-  const audioChunks = [];
-  let audioFailures = 0;
-
-  for (let i = 0; i < audioSegments.length; i += batchSize) {
-    const batch = audioSegments.slice(i, i + batchSize);
-    const results = await Promise.all(
-      batch.map(async (seg, batchIdx) => {
-        const resp = await authenticatedFetch(seg.url, tabId);
-        if (!resp.ok) {
-          audioFailures++;
-          if (audioFailures > 5) return null; // non-fatal: video still saves
-          return null;
-        }
-        let data = await resp.arrayBuffer();
-        if (audioDecryptionKey && audioKeyInfo) {
-          data = await decryptSegment(data, audioDecryptionKey, audioKeyInfo.iv, i + batchIdx);
-        }
-        return data;
-      })
-    );
-    audioChunks.push(...results.filter(Boolean));
-    completed += batch.length;
-    broadcastProgress(video.id, completed, totalSegments);
-  }
-
-  // ── Trigger downloads for both tracks ───────────────────────────────────
-  const baseName = sanitizeFilename(
-    (video.filename || 'video').replace(/\.(m3u8?|ts)$/i, '')
-  );
-
-  const videoBlob = new Blob(videoChunks, { type: 'video/mp2t' });
-  const videoBlobUrl = URL.createObjectURL(videoBlob);
-  const videoDownloadId = await chrome.downloads.download({
-    url: videoBlobUrl,
-    filename: baseName + '_video.ts',
-    saveAs: false,
-  });
-  setTimeout(() => URL.revokeObjectURL(videoBlobUrl), 60000);
-
-  let audioDownloadId = null;
-  if (audioChunks.length > 0) {
-    const audioBlob = new Blob(audioChunks, { type: 'video/mp2t' });
-    const audioBlobUrl = URL.createObjectURL(audioBlob);
-    audioDownloadId = await chrome.downloads.download({
-      url: audioBlobUrl,
-      filename: baseName + '_audio.ts',
-      saveAs: false,
+async function startOffscreenJob(job, msg, url) {
+  const { video, subtitle, tabId, jobId } = msg;
+  startingJobs++;
+  try {
+    if (tabId) await ensureAuthHeaders(tabId, url);
+    await ensureOffscreenDocument();
+    return await sendToOffscreen({
+      action: 'startJob',
+      job,
+      video,
+      subtitle,
+      tabId,
+      jobId,
+      headers: { ...msg.headers, ...(tabId && tabRequestHeaders.get(tabId)) },
+      settings,
     });
-    setTimeout(() => URL.revokeObjectURL(audioBlobUrl), 60000);
+  } finally {
+    startingJobs--;
   }
-
-  return {
-    ok: true,
-    downloadId: videoDownloadId,
-    audioDownloadId,
-    segmentCount: videoChunks.length + audioChunks.length,
-    demuxed: true,
-    message: audioDownloadId
-      ? `Saved as "${baseName}_video.ts" and "${baseName}_audio.ts". Merge with: ffmpeg -i *_video.ts -i *_audio.ts -c copy output.mp4`
-      : `Saved "${baseName}_video.ts" (audio stream could not be downloaded)`,
-  };
 }
 
-async function downloadDASH(video, tabId) {
-  // Ensure we have auth headers before starting
-  await ensureAuthHeaders(tabId, video.url);
+// Ids of the stored jobs that the offscreen document is running
+async function runningJobIds() {
+  if (!(await hasOffscreenDocument())) return [];
+  const { jobIds } = await sendToOffscreen({ action: 'runningJobs' });
+  return jobIds;
+}
 
-  const response = await authenticatedFetch(video.url, tabId);
-  if (!response.ok) return { error: `Failed to fetch MPD: HTTP ${response.status}` };
-  const content = await response.text();
-  const qualities = parseMPD(content, video.url);
+/**
+ * Resume a stored job in the offscreen document, as download `videoId`.
+ * A stored job keeps no credentials, so they are captured afresh: from a tab
+ * still showing its page, or else the browser's cookies for the stream.  The
+ * headers go with the job, which holds them until it finishes.
+ */
+async function resumeStoredJob(job, videoId) {
+  const pageUrl = job.video.pageUrl?.split('#')[0];
+  const tabs = pageUrl ? await chrome.tabs.query({}) : [];
+  const tab = tabs.find(t => t.url?.split('#')[0] === pageUrl);
+
+  // Jobs stored by older versions may hold more than these
+  const { referer, origin } = job.headers || {};
+  const headers = { referer, origin };
+  if (!tab) {
+    const cookie = await getCookiesForUrl(job.video.url);
+    if (cookie) headers.cookie = cookie;
+  }
+  return await startOffscreenJob('resumeDownload', {
+    video: { ...job.video, id: videoId },
+    tabId: tab ? tab.id : null,
+    jobId: job.id,
+    headers,
+  }, job.video.url);
+}
 
-  if (qualities.length === 0) return { error: 'No representations found in DASH manifest' };
+async function closeOffscreenIfIdle() {
+  if (startingJobs > 0 || !(await hasOffscreenDocument())) return;
+  const { busy } = await sendToOffscreen({ action: 'busy' });
+  if (busy || startingJobs > 0) return;
+  await chrome.offscreen.closeDocument().catch(() => { /* already closed */ });
+}
 
-  // If a specific representation URL is given, download it directly
-  if (video.selectedQuality) {
-    const selected = qualities.find(q => q.url === video.selectedQuality || q.id === video.selectedQuality);
-    if (selected && selected.url && selected.url !== video.url) {
-      return await downloadDirect({ ...video, url: selected.url, filename: video.filename }, tabId);
-    }
+// ── Download queue ───────────────────────────────────────────────────────────
+// HLS/DASH downloads wait here and at most settings.maxConcurrentJobs of them
+// run in the offscreen document at once.  The queue is kept in
+// chrome.storage.session, as the worker may be stopped while downloads wait;
+// after a browser restart only the stored HLS jobs are left, paused.
+//
+// Entry: { id, job, videoId, filename, type, state, stop, msg, jobId }
+// `state` is 'queued', 'running' or 'paused'; `stop` is 'pause' or 'cancel'
+// once a running download has been asked to stop.  An entry with the `jobId`
+// of a stored job resumes it; others start `job` with `msg`.  A paused DASH
+// download is not stored, so it starts over.
 
-    // Handle SegmentTemplate-based DASH
-    if (selected && selected.segmentTemplate) {
-      return await downloadDASHSegments(selected, video, tabId);
-    }
-  }
+let downloadQueue = [];
 
-  // Default: download best quality
-  const best = qualities.find(q => q.isVideo && q.url && q.url !== video.url) || qualities[0];
-  if (best && best.url && best.url !== video.url) {
-    return await downloadDirect({ ...video, url: best.url }, tabId);
+const queueLoaded = chrome.storage.session.get('downloadQueue').then(async (result) => {
+  downloadQueue = result.downloadQueue || [];
+  // The jobs of an offscreen document that has gone will never finish
+  if (!(await hasOffscreenDocument())) {
+    downloadQueue = downloadQueue.filter(entry => entry.state !== 'running');
   }
+});
 
-  if (best && best.segmentTemplate) {
-    return await downloadDASHSegments(best, video, tabId);
-  }
+function queueSummary() {
+  return downloadQueue.map(({ id, videoId, filename, type, state, stop }) => ({ id, videoId, filename, type, state, stop }));
+}
 
-  return { error: 'Could not resolve DASH segments' };
+function saveQueue() {
+  chrome.storage.session.set({ downloadQueue });
+  chrome.runtime.sendMessage({ action: 'queueChanged', queue: queueSummary() })
+    .catch(() => { /* popup not open */ });
 }
 
-async function downloadDASHSegments(representation, video, tabId) {
-  const tmpl = representation.segmentTemplate;
-  if (!tmpl || !tmpl.media) return { error: 'No segment template' };
-
-  const segments = [];
-  const segmentDuration = tmpl.duration / tmpl.timescale;
-  // Estimate segment count (assume 2 hour max)
-  const maxSegments = Math.ceil(7200 / segmentDuration);
-
-  for (let num = tmpl.startNumber; num < tmpl.startNumber + maxSegments; num++) {
-    const segUrl = resolveUrl(
-      video.url,
-      tmpl.media.replace('$Number$', num).replace('$RepresentationID$', representation.id)
-    );
-    segments.push(segUrl);
-  }
+async function findQueueEntry(id) {
+  await queueLoaded;
+  return downloadQueue.find(entry => entry.id === id);
+}
 
-  const chunks = [];
-  const batchSize = settings.maxConcurrentDownloads || 3;
+/**
+ * Add a download to the end of the queue.  Resolves to { queued: true };
+ * the download finishes with jobFinished like any offscreen job.
+ */
+async function enqueueJob(entry) {
+  await queueLoaded;
+  if (downloadQueue.some(queued => queued.videoId === entry.videoId || (entry.jobId && queued.jobId === entry.jobId))) {
+    return { error: 'Already in the queue' };
+  }
+  downloadQueue.push({ id: generateId(), state: 'queued', stop: null, msg: null, jobId: null, ...entry });
+  pumpQueue();
+  return { queued: true };
+}
 
-  // Download init segment if available (with auth)
-  if (tmpl.initialization) {
-    const initUrl = resolveUrl(
-      video.url,
-      tmpl.initialization.replace('$RepresentationID$', representation.id)
-    );
-    try {
-      const resp = await authenticatedFetch(initUrl, tabId);
-      if (resp.ok) chunks.push(await resp.arrayBuffer());
-    } catch { /* optional */ }
-  }
+// Start queued downloads, first come first served, while there is room
+async function pumpQueue() {
+  await queueLoaded;
+  let running = downloadQueue.filter(entry => entry.state === 'running').length;
+  for (const entry of downloadQueue) {
+    if (running >= (settings.maxConcurrentJobs || 2)) break;
+    if (entry.state !== 'queued') continue;
+    entry.state = 'running';
+    running++;
+    startQueuedJob(entry);
+  }
+  saveQueue();
+}
 
-  let downloadedCount = 0;
-  for (let i = 0; i < segments.length; i += batchSize) {
-    const batch = segments.slice(i, i + batchSize);
-    try {
-      const results = await Promise.all(
-        batch.map(async (url) => {
-          const resp = await authenticatedFetch(url, tabId);
-          if (!resp.ok) throw new Error('Segment 404');
-          return await resp.arrayBuffer();
-        })
-      );
-      chunks.push(...results);
-      downloadedCount += results.length;
-      broadcastProgress(video.id, downloadedCount, segments.length);
-    } catch {
-      // Likely we've hit the end of segments
-      break;
+async function startQueuedJob(entry) {
+  let response;
+  try {
+    if (entry.jobId) {
+      const job = (await StoredJob.list()).find(stored => stored.id === entry.jobId);
+      if (!job) throw new Error('This download can no longer be resumed');
+      response = await resumeStoredJob(job, entry.videoId);
+    } else {
+      response = await startOffscreenJob(entry.job, entry.msg, entry.msg.video.url);
     }
+  } catch (err) {
+    response = { error: err.message };
   }
 
-  if (chunks.length === 0) return { error: 'No DASH segments downloaded' };
-
-  const merged = new Blob(chunks, { type: 'video/mp4' });
-  const blobUrl = URL.createObjectURL(merged);
-
-  const filename = sanitizeFilename(
-    (video.filename || 'video').replace(/\.(mpd|mp4)$/i, '') + '.mp4'
-  );
-
-  const downloadId = await chrome.downloads.download({
-    url: blobUrl,
-    filename: filename,
-    saveAs: true,
-  });
+  if (response?.started) {
+    // Asked to stop before the offscreen document knew of it
+    if (entry.stop) await abortOffscreenJob(entry, entry.stop);
+    return;
+  }
+  finishQueuedJob({ job: entry.job, videoId: entry.videoId, result: response || { error: 'Could not start the download' } });
+  reportJobFinished(entry, response || { error: 'Could not start the download' });
+}
 
-  setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
-  return { ok: true, downloadId, segmentCount: chunks.length };
+// Pause or cancel a running download; it settles with jobFinished
+async function stopQueuedJob(entry, stop) {
+  if (entry.stop) return;
+  entry.stop = stop;
+  saveQueue();
+  await abortOffscreenJob(entry, stop);
 }
 
-// ── HLS AES-128 Decryption ───────────────────────────────────────────────────
-// Many paywall sites (Wondrium, Udemy, Pluralsight, etc.) encrypt HLS segments
-// with AES-128-CBC. We parse the #EXT-X-KEY tag and decrypt each segment.
-
-function parseM3U8Key(content, baseUrl) {
-  const keyMatch = content.match(/#EXT-X-KEY:METHOD=AES-128,URI="([^"]+)"(?:,IV=0x([0-9a-fA-F]+))?/);
-  if (!keyMatch) return null;
-  return {
-    method: 'AES-128',
-    uri: resolveUrl(baseUrl, keyMatch[1]),
-    iv: keyMatch[2] || null, // null = use segment sequence number
-  };
+function abortOffscreenJob(entry, stop) {
+  return sendToOffscreen({ action: 'abortJob', job: entry.job, videoId: entry.videoId, pause: stop === 'pause' })
+    .catch(() => { /* not started yet, or finished meanwhile */ });
 }
 
-async function decryptSegment(encryptedData, keyBuffer, ivHex, segmentIndex) {
-  try {
-    const key = await crypto.subtle.importKey(
-      'raw', keyBuffer, { name: 'AES-CBC' }, false, ['decrypt']
-    );
-
-    // IV: use explicit IV if provided, otherwise use segment index (per HLS spec)
-    let iv;
-    if (ivHex) {
-      iv = new Uint8Array(ivHex.match(/.{2}/g).map(b => parseInt(b, 16)));
-    } else {
-      iv = new Uint8Array(16);
-      const view = new DataView(iv.buffer);
-      view.setUint32(12, segmentIndex); // big-endian segment number as IV
+/**
+ * Settle the running entry of a job that has ended.  A paused download stays
+ * in the queue, as a resume of its stored job if it has one; anything else
+ * leaves it.  Either way another download may start.
+ */
+async function finishQueuedJob({ job, videoId, jobId, result }) {
+  await queueLoaded;
+  const entry = downloadQueue.find(queued => queued.state === 'running' && queued.job === job && queued.videoId === videoId);
+  if (!entry) return;
+  if (result?.paused) {
+    entry.state = 'paused';
+    entry.stop = null;
+    if (jobId) {
+      entry.job = 'resumeDownload';
+      entry.jobId = jobId;
     }
-
-    const decrypted = await crypto.subtle.decrypt(
-      { name: 'AES-CBC', iv }, key, encryptedData
-    );
-
-    return decrypted;
-  } catch {
-    // If decryption fails, return original data (may be unencrypted or different cipher)
-    return encryptedData;
+  } else {
+    downloadQueue.splice(downloadQueue.indexOf(entry), 1);
   }
+  pumpQueue();
 }
 
-function broadcastProgress(videoId, current, total) {
-  chrome.runtime.sendMessage({
-    action: 'downloadProgress',
-    videoId,
-    current,
-    total,
-    percent: Math.round((current / total) * 100),
-  }).catch(() => { /* popup may not be open */ });
+// Tell the popup about a download that ended without reaching the offscreen document
+function reportJobFinished(entry, result) {
+  chrome.runtime.sendMessage({ action: 'jobFinished', job: entry.job, videoId: entry.videoId, result })
+    .catch(() => { /* popup not open */ });
 }
 
-function sanitizeFilename(name) {
-  return name
-    .replace(/[<>:"/\\|?*]/g, '_')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .substring(0, 200);
-}
+// The offscreen document keeps each saved blob until its download ends
+chrome.downloads.onChanged.addListener(async (delta) => {
+  if (delta.state?.current !== 'complete' && delta.state?.current !== 'interrupted') return;
+  const [item] = await chrome.downloads.search({ id: delta.id });
+  if (!item?.url.startsWith(`blob:${self.location.origin}/`)) return;
+  if (await hasOffscreenDocument()) {
+    sendToOffscreen({ action: 'releaseBlob', url: item.url }).catch(() => { /* closed meanwhile */ });
+  }
+});
 
 // ── Context menu ─────────────────────────────────────────────────────────────
 
@@ -1197,43 +997,13 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === 'videomancer-download') {
     const url = info.srcUrl || info.linkUrl;
     if (url) {
-      registerVideo(tab.id, {
-        url,
-        pageUrl: info.pageUrl,
-        pageTitle: tab.title,
-        type: classifyType(url),
-      });
-      // Also trigger download directly
-      downloadDirect({ url, filename: extractFilename(url) || 'video.mp4' });
+      const type = classifyType(url);
+      const video = registerVideo(tab.id, { url, pageUrl: info.pageUrl, pageTitle: tab.title, type })
+        || { id: generateId(), url, type, filename: extractFilename(url) || DEFAULT_FILENAME, pageUrl: info.pageUrl, pageTitle: tab.title };
+      // Named from the template like a download from the popup; streams are
+      // fetched at the preferred quality
+      messageHandlers.downloadVideo({ video, tabId: tab.id });
     }
   }
 });
 
-// ── Keep service worker alive during downloads ──────────────────────────────
-
-let keepAliveInterval = null;
-
-function startKeepAlive() {
-  if (!keepAliveInterval) {
-    keepAliveInterval = setInterval(() => {
-      // Ping to keep service worker alive
-    }, 20000);
-  }
-}
-
-function stopKeepAlive() {
-  if (keepAliveInterval) {
-    clearInterval(keepAliveInterval);
-    keepAliveInterval = null;
-  }
-}
-
-chrome.downloads.onChanged.addListener((delta) => {
-  if (delta.state) {
-    if (delta.state.current === 'in_progress') {
-      startKeepAlive();
-    } else {
-      stopKeepAlive();
-    }
-  }
-});
@@ -249,6 +249,38 @@
     }
   });
 
+  // ── Playback Position ────────────────────────────────────────────────────
+
+  // The <video> the user is watching: one that is playing, else the largest
+  function mainVideoElement() {
+    const videos = [...document.querySelectorAll('video')].filter(v => v.readyState > 0);
+    const playing = videos.filter(v => !v.paused && !v.ended);
+    const candidates = playing.length > 0 ? playing : videos;
+    let best = null;
+    let bestArea = -1;
+    for (const video of candidates) {
+      const area = video.clientWidth * video.clientHeight;
+      if (area > bestArea) {
+        best = video;
+        bestArea = area;
+      }
+    }
+    return best;
+  }
+
+  // The popup asks for the playback position to set a clip's start or end.
+  // Frames without a video stay silent so that the one with it answers.
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action !== 'getPlaybackPosition') return false;
+    const video = mainVideoElement();
+    if (!video) return false;
+    sendResponse({
+      currentTime: video.currentTime,
+      duration: isFinite(video.duration) ? video.duration : null,
+    });
+    return false;
+  });
+
   // ── Initialization ───────────────────────────────────────────────────────
 
   // Initial scan
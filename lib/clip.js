@@ -0,0 +1,50 @@
+/**
+ * VideoMancer - Time-Range Clips
+ * Downloads a stretch of an HLS or DASH stream instead of all of it.
+ *
+ * A clip is { start, end } in seconds from the start of the stream, `end`
+ * null for the end of it.  Only the segments that cover the clip are
+ * fetched.  Remuxed MPEG-TS is then trimmed to the keyframe at or before
+ * `start` and to `end` (TSRemuxer's `trim`); fMP4 and WebM segments begin
+ * with a keyframe, so those clips run from segment boundary to segment
+ * boundary.
+ */
+
+/**
+ * The segments ({ duration } in seconds) that cover `clip`, as { segments,
+ * trim }: `trim` is the clip in seconds from the start of the first of them,
+ * or null when there is no clip and every segment is kept.
+ */
+export function clipSegments(segments, clip) {
+  if (!clip) return { segments, trim: null };
+  const end = clip.end ?? Infinity;
+
+  let time = 0;
+  let first = -1;
+  let last = -1;
+  let offset = 0;
+  segments.forEach((seg, index) => {
+    if (time + seg.duration > clip.start && time < end) {
+      if (first < 0) {
+        first = index;
+        offset = time;
+      }
+      last = index;
+    }
+    time += seg.duration;
+  });
+
+  if (first < 0) return { segments: [], trim: null };
+  return {
+    segments: segments.slice(first, last + 1),
+    trim: { start: clip.start - offset, end: clip.end == null ? null : clip.end - offset },
+  };
+}
+
+/** "1:02:03" style text for a time in seconds, for messages. */
+export function formatClipTime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = String(Math.floor((seconds % 3600) / 60));
+  const s = String(Math.floor(seconds % 60)).padStart(2, '0');
+  return h > 0 ? `${h}:${m.padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
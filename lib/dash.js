@@ -0,0 +1,453 @@
+/**
+ * VideoMancer - DASH Manifest Parsing
+ * Parses MPDs into per-period representation lists and expands their
+ * SegmentTemplate, SegmentTimeline, SegmentList and SegmentBase addressing
+ * into segment URLs.  Shared by the service worker and the offscreen
+ * document.
+ */
+
+import { parseXML } from './xml.js';
+import { resolveUrl } from './hls.js';
+
+/**
+ * Representations of an MPD's main period (see parseMPDPeriods).
+ */
+export function parseMPD(content, baseUrl) {
+  const periods = parseMPDPeriods(content, baseUrl);
+  return periods.length > 0 ? mainPeriod(periods).qualities : [];
+}
+
+/**
+ * Parse each Period of an MPD separately: [{ id, start, duration, baseUrl,
+ * isAd, qualities }], times in seconds.  Period@start defaults to the end of
+ * the previous period; the duration comes from Period@duration, the next
+ * Period@start or the presentation duration (null when none is known).
+ */
+export function parseMPDPeriods(content, baseUrl) {
+  const mpd = parseXML(content).documentElement;
+  const periodEls = childElements(mpd, 'Period');
+  const mediaPresentationDuration = parseISODuration(mpd.getAttribute('mediaPresentationDuration'));
+  const mpdBaseUrls = resolveBaseUrls([baseUrl], mpd);
+
+  const periods = [];
+  periodEls.forEach((el, index) => {
+    const previous = periods[index - 1];
+    let start = parseISODuration(el.getAttribute('start'));
+    if (start == null) start = previous ? (previous.duration != null ? previous.start + previous.duration : null) : 0;
+
+    let duration = parseISODuration(el.getAttribute('duration'));
+    const nextStart = periodEls[index + 1] ? parseISODuration(periodEls[index + 1].getAttribute('start')) : null;
+    if (duration == null && start != null && nextStart != null) duration = nextStart - start;
+    if (duration == null && start != null && index === periodEls.length - 1 && mediaPresentationDuration != null) {
+      duration = mediaPresentationDuration - start;
+    }
+
+    const baseEl = childElement(el, 'BaseURL');
+    const periodBaseUrls = resolveBaseUrls(mpdBaseUrls, el);
+    const assetEl = childElement(el, 'AssetIdentifier');
+
+    periods.push({
+      id: el.getAttribute('id') || String(index),
+      start: start ?? 0,
+      duration,
+      baseUrl: periodBaseUrls[0],
+      assetId: assetEl ? `${assetEl.getAttribute('schemeIdUri')}|${assetEl.getAttribute('value')}` : null,
+      isAd: AD_PERIOD_RE.test(el.getAttribute('id') || '') || (baseEl != null && AD_PERIOD_RE.test(baseEl.textContent)),
+      qualities: parsePeriodQualities(el, periodBaseUrls),
+    });
+  });
+
+  // Inserted ads carry an asset identifier other than the programme's
+  const main = mainPeriod(periods);
+  if (main && main.assetId) {
+    for (const period of periods) {
+      if (period.assetId && period.assetId !== main.assetId) period.isAd = true;
+    }
+  }
+  return periods;
+}
+
+// Period ids / BaseURLs of server-side inserted ads ("ad-1", "preroll", "midroll_2", ...)
+const AD_PERIOD_RE = /(^|[^a-z])(ads?|advert\w*|preroll|midroll|postroll)([^a-z]|$)/i;
+
+/**
+ * The period that holds the programme: the longest one that does not look
+ * like an ad (a period of unknown length runs to the end, so counts as
+ * longest).
+ */
+export function mainPeriod(periods) {
+  const candidates = periods.some(p => !p.isAd) ? periods.filter(p => !p.isAd) : periods;
+  const length = (period) => period.duration ?? Infinity;
+  return candidates.reduce((best, period) => (length(period) > length(best) ? period : best));
+}
+
+/**
+ * The representation of another period that continues `selected`: the one
+ * with the same id, otherwise the same kind of track closest in height and
+ * then bandwidth.
+ */
+export function matchRepresentation(selected, qualities) {
+  const sameKind = qualities.filter(q => q.isVideo === selected.isVideo && q.isAudio === selected.isAudio);
+  const byId = sameKind.find(q => q.id && q.id === selected.id);
+  if (byId) return byId;
+  return sameKind.reduce((best, q) => {
+    if (!best) return q;
+    const heightDiff = Math.abs(q.height - selected.height) - Math.abs(best.height - selected.height);
+    if (heightDiff !== 0) return heightDiff < 0 ? q : best;
+    return Math.abs(q.bandwidth - selected.bandwidth) < Math.abs(best.bandwidth - selected.bandwidth) ? q : best;
+  }, null);
+}
+
+function parsePeriodQualities(period, periodBaseUrls) {
+  const qualities = [];
+
+  const adaptationSets = childElements(period, 'AdaptationSet');
+  for (const as of adaptationSets) {
+    const mimeType = as.getAttribute('mimeType') || '';
+    const isVideo = mimeType.startsWith('video') || as.getAttribute('contentType') === 'video';
+    const isAudio = mimeType.startsWith('audio') || as.getAttribute('contentType') === 'audio';
+    const roleEl = childElements(as, 'Role').find(el => /:dash:role:2011$/.test(el.getAttribute('schemeIdUri') || ''));
+    const role = roleEl ? roleEl.getAttribute('value') : '';
+    const asBaseUrls = resolveBaseUrls(periodBaseUrls, as);
+
+    const representations = childElements(as, 'Representation');
+    for (const rep of representations) {
+      const bandwidth = parseInt(rep.getAttribute('bandwidth') || '0', 10);
+      const width = parseInt(rep.getAttribute('width') || '0', 10);
+      const height = parseInt(rep.getAttribute('height') || '0', 10);
+      const codecs = rep.getAttribute('codecs') || as.getAttribute('codecs') || '';
+      const id = rep.getAttribute('id') || '';
+      const language = rep.getAttribute('lang') || as.getAttribute('lang') || '';
+
+      // Segment URLs are built on the first base URL; the others are mirrors
+      const baseUrls = resolveBaseUrls(asBaseUrls, rep);
+      const repUrl = baseUrls[0];
+
+      // SegmentTemplate attributes are inherited Period → AdaptationSet → Representation
+      const segTemplate = parseSegmentTemplate([
+        childElement(rep, 'SegmentTemplate'),
+        childElement(as, 'SegmentTemplate'),
+        childElement(period, 'SegmentTemplate'),
+      ]);
+      const segList = parseSegmentList([
+        childElement(rep, 'SegmentList'),
+        childElement(as, 'SegmentList'),
+        childElement(period, 'SegmentList'),
+      ], repUrl);
+      const segBase = parseSegmentBase([
+        childElement(rep, 'SegmentBase'),
+        childElement(as, 'SegmentBase'),
+        childElement(period, 'SegmentBase'),
+      ], repUrl);
+
+      qualities.push({
+        id,
+        url: repUrl,
+        baseUrls,
+        bandwidth,
+        width,
+        height,
+        resolution: width && height ? `${width}x${height}` : null,
+        codecs,
+        mimeType: rep.getAttribute('mimeType') || mimeType,
+        isVideo,
+        isAudio,
+        language,
+        role,
+        label: isVideo
+          ? (height ? `${height}p (${codecs})` : `${Math.round(bandwidth / 1000)}kbps`)
+          : `Audio ${language ? language + ' ' : ''}${Math.round(bandwidth / 1000)}kbps (${codecs})`,
+        segmentTemplate: segTemplate,
+        segmentList: segList,
+        segmentBase: segBase,
+      });
+    }
+  }
+
+  qualities.sort((a, b) => b.bandwidth - a.bandwidth);
+  return qualities;
+}
+
+// Mirrors kept per representation when BaseURLs multiply across levels
+const MAX_BASE_URLS = 8;
+
+/**
+ * Apply an element's <BaseURL> children to the base URLs it inherits
+ * (MPD → Period → AdaptationSet → Representation).  Each BaseURL is
+ * resolved against every inherited URL, so relative paths compose and an
+ * absolute one replaces its parents; several BaseURLs at one level are
+ * alternatives (CDN mirrors) in order of preference.  An element without
+ * BaseURL inherits the list unchanged.
+ */
+function resolveBaseUrls(parentUrls, el) {
+  const baseEls = childElements(el, 'BaseURL');
+  if (baseEls.length === 0) return parentUrls;
+  const urls = [];
+  for (const baseEl of baseEls) {
+    for (const parent of parentUrls) {
+      const url = resolveUrl(parent, baseEl.textContent.trim());
+      if (!urls.includes(url)) urls.push(url);
+    }
+  }
+  return urls.slice(0, MAX_BASE_URLS);
+}
+
+/**
+ * First direct child element with the given local name (namespace-agnostic).
+ */
+function childElement(parent, name) {
+  if (!parent || !parent.children) return null;
+  for (const child of parent.children) {
+    if (child.localName === name) return child;
+  }
+  return null;
+}
+
+function childElements(parent, name) {
+  if (!parent || !parent.children) return [];
+  return Array.from(parent.children).filter(child => child.localName === name);
+}
+
+/**
+ * Merge the SegmentTemplate elements that apply to a Representation, nearest
+ * first; each attribute and the SegmentTimeline come from the nearest level
+ * that defines them.  Returns null when no level has a template.
+ */
+function parseSegmentTemplate(levels) {
+  levels = levels.filter(Boolean);
+  if (levels.length === 0) return null;
+  const attr = (name) => {
+    for (const el of levels) {
+      if (el.hasAttribute(name)) return el.getAttribute(name);
+    }
+    return null;
+  };
+  const timelineEl = levels.map(el => childElement(el, 'SegmentTimeline')).find(Boolean);
+
+  return {
+    initialization: attr('initialization'),
+    media: attr('media'),
+    startNumber: parseInt(attr('startNumber') || '1', 10),
+    endNumber: attr('endNumber') ? parseInt(attr('endNumber'), 10) : null,
+    timescale: parseInt(attr('timescale') || '1', 10),
+    duration: parseInt(attr('duration') || '0', 10),
+    presentationTimeOffset: parseInt(attr('presentationTimeOffset') || '0', 10),
+    // <S t d r>: r repeats (-1 = until the next S@t or the period end)
+    timeline: timelineEl ? childElements(timelineEl, 'S').map(el => ({
+      t: el.hasAttribute('t') ? parseInt(el.getAttribute('t'), 10) : null,
+      d: parseInt(el.getAttribute('d') || '0', 10),
+      r: parseInt(el.getAttribute('r') || '0', 10),
+    })) : null,
+  };
+}
+
+/**
+ * Merge the SegmentList elements that apply to a Representation, nearest
+ * first.  Each SegmentURL names a file (default: the Representation's
+ * BaseURL) and optionally a byte range within it.  Returns null when no
+ * level lists any segments.
+ *
+ * Returns { timescale, presentationTimeOffset, initialization: { url, byteRange } | null,
+ *           segments: [{ url, byteRange, duration }] } with duration in seconds.
+ */
+function parseSegmentList(levels, repUrl) {
+  levels = levels.filter(Boolean);
+  const listEl = levels.find(el => childElement(el, 'SegmentURL'));
+  if (!listEl) return null;
+  const attr = (name) => {
+    for (const el of levels) {
+      if (el.hasAttribute(name)) return el.getAttribute(name);
+    }
+    return null;
+  };
+  const timescale = parseInt(attr('timescale') || '1', 10);
+  const duration = parseInt(attr('duration') || '0', 10) / timescale;
+
+  return {
+    timescale,
+    presentationTimeOffset: parseInt(attr('presentationTimeOffset') || '0', 10),
+    initialization: parseDASHInitialization(levels, repUrl),
+    segments: childElements(listEl, 'SegmentURL').map(el => ({
+      url: el.hasAttribute('media') ? resolveUrl(repUrl, el.getAttribute('media')) : repUrl,
+      byteRange: parseDASHByteRange(el.getAttribute('mediaRange')),
+      duration,
+    })),
+  };
+}
+
+/**
+ * Merge the SegmentBase elements that apply to a Representation.  The media
+ * is one file whose sidx box sits at indexRange; without an Initialization
+ * range the init data is everything before the index.  Returns null when
+ * there is no indexRange to read.
+ *
+ * Returns { timescale, presentationTimeOffset, indexRange,
+ *           initialization: { url, byteRange } | null }.
+ */
+function parseSegmentBase(levels, repUrl) {
+  levels = levels.filter(Boolean);
+  const indexEl = levels.find(el => el.hasAttribute('indexRange'));
+  const indexRange = indexEl && parseDASHByteRange(indexEl.getAttribute('indexRange'));
+  if (!indexRange) return null;
+
+  let initialization = parseDASHInitialization(levels, repUrl);
+  if (!initialization && indexRange.offset > 0) {
+    initialization = { url: repUrl, byteRange: { offset: 0, length: indexRange.offset } };
+  }
+  const attr = (name) => levels.find(el => el.hasAttribute(name))?.getAttribute(name);
+  return {
+    timescale: parseInt(attr('timescale') || '1', 10),
+    presentationTimeOffset: parseInt(attr('presentationTimeOffset') || '0', 10),
+    indexRange,
+    initialization,
+  };
+}
+
+/**
+ * The nearest <Initialization sourceURL range> of a SegmentList/SegmentBase.
+ */
+function parseDASHInitialization(levels, repUrl) {
+  const el = levels.map(level => childElement(level, 'Initialization')).find(Boolean);
+  if (!el) return null;
+  return {
+    url: el.hasAttribute('sourceURL') ? resolveUrl(repUrl, el.getAttribute('sourceURL')) : repUrl,
+    byteRange: parseDASHByteRange(el.getAttribute('range')),
+  };
+}
+
+/**
+ * DASH byte ranges are inclusive "first-last", e.g. mediaRange="0-1023".
+ */
+function parseDASHByteRange(value) {
+  const match = /^\s*(\d+)-(\d+)\s*$/.exec(value || '');
+  if (!match) return null;
+  const first = parseInt(match[1], 10);
+  const last = parseInt(match[2], 10);
+  return last >= first ? { offset: first, length: last - first + 1 } : null;
+}
+
+/**
+ * Presentation-level timing of an MPD.  Dynamic (live) manifests publish
+ * segments relative to availabilityStartTime and must be reloaded every
+ * minimumUpdatePeriod.  Durations are in seconds (null when absent),
+ * availabilityStartTime in epoch milliseconds.  The period duration comes
+ * from Period@duration, the next Period@start or the presentation duration.
+ */
+export function parseMPDPresentation(content) {
+  const mpd = parseXML(content).documentElement;
+  const [period, nextPeriod] = childElements(mpd, 'Period');
+  const availabilityStartTime = Date.parse(mpd.getAttribute('availabilityStartTime') || '');
+  const mediaPresentationDuration = parseISODuration(mpd.getAttribute('mediaPresentationDuration'));
+  const periodStart = (period && parseISODuration(period.getAttribute('start'))) || 0;
+
+  let periodDuration = period ? parseISODuration(period.getAttribute('duration')) : null;
+  const nextStart = nextPeriod ? parseISODuration(nextPeriod.getAttribute('start')) : null;
+  if (periodDuration == null && nextStart != null) periodDuration = nextStart - periodStart;
+  if (periodDuration == null && mediaPresentationDuration != null) periodDuration = mediaPresentationDuration - periodStart;
+
+  return {
+    dynamic: mpd.getAttribute('type') === 'dynamic',
+    availabilityStartTime: Number.isNaN(availabilityStartTime) ? 0 : availabilityStartTime,
+    timeShiftBufferDepth: parseISODuration(mpd.getAttribute('timeShiftBufferDepth')),
+    minimumUpdatePeriod: parseISODuration(mpd.getAttribute('minimumUpdatePeriod')),
+    mediaPresentationDuration,
+    periodStart,
+    periodDuration,
+  };
+}
+
+/**
+ * xs:duration (e.g. "PT1H2M3.5S", "P1DT12H") to seconds; null if absent.
+ */
+function parseISODuration(value) {
+  const match = /^(-)?P(?:([\d.]+)Y)?(?:([\d.]+)M)?(?:([\d.]+)W)?(?:([\d.]+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/.exec((value || '').trim());
+  if (!match) return null;
+  const [, negative, years, months, weeks, days, hours, minutes, seconds] = match.map(v => v && parseFloat(v));
+  const total = (years || 0) * 31536000 + (months || 0) * 2592000 + (weeks || 0) * 604800
+    + (days || 0) * 86400 + (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0);
+  return negative ? -total : total;
+}
+
+/**
+ * Expand a SegmentTemplate @media / @initialization string: $RepresentationID$,
+ * $Number$, $Time$, $Bandwidth$ and $SubNumber$, the numeric ones optionally
+ * with a printf-style width ($Number%05d$), and $$ for a literal dollar.
+ */
+export function expandSegmentTemplate(template, representation, number, time) {
+  const values = {
+    RepresentationID: representation.id,
+    Number: number,
+    Time: time,
+    Bandwidth: representation.bandwidth,
+    SubNumber: 1,
+  };
+  return template.replace(/\$(RepresentationID|Number|Time|Bandwidth|SubNumber)?(?:%0?(\d*)d)?\$/g, (match, name, width) => {
+    if (!name) return '$';
+    const value = values[name];
+    if (value == null) return match;
+    return width ? String(value).padStart(parseInt(width, 10), '0') : String(value);
+  });
+}
+
+/**
+ * Expand a representation's SegmentTemplate into its exact segment list:
+ * [{ url, number, time, duration }], `time` in timescale units and
+ * `duration` in seconds.  Timelines are walked S by S (r="-1" repeats up to
+ * the next S@t or the period end); fixed-duration templates are counted from
+ * the period duration.  For live manifests `until` (seconds into the period)
+ * drops segments that have not fully elapsed yet and `from` those that ended
+ * before it.  Returns null when the length cannot be known (no period
+ * duration, no timeline, not live).
+ */
+export function resolveDASHSegments(representation, presentation, { from = 0, until = Infinity } = {}) {
+  const tmpl = representation.segmentTemplate;
+  if (!tmpl || !tmpl.media) return [];
+  const scale = tmpl.timescale;
+  const offset = tmpl.presentationTimeOffset;
+  const periodEnd = presentation.periodDuration != null ? offset + presentation.periodDuration * scale : Infinity;
+  const edge = offset + until * scale;
+  const start = offset + from * scale;
+  const segments = [];
+  const add = (number, time, duration) => segments.push({
+    url: resolveUrl(representation.url, expandSegmentTemplate(tmpl.media, representation, number, time)),
+    number,
+    time,
+    duration: duration / scale,
+  });
+
+  if (tmpl.timeline) {
+    let time = 0;
+    let number = tmpl.startNumber;
+    for (let i = 0; i < tmpl.timeline.length; i++) {
+      const s = tmpl.timeline[i];
+      if (s.t != null) time = s.t;
+      if (s.d <= 0) continue;
+      const next = tmpl.timeline[i + 1];
+      let stop = next && next.t != null ? next.t : Math.min(periodEnd, edge);
+      // r="-1" with nothing to stop it: a single segment
+      if (!Number.isFinite(stop)) stop = time + s.d;
+      for (let k = 0; s.r >= 0 ? k <= s.r : time < stop; k++) {
+        if (time >= periodEnd || time + s.d > edge) return segments;
+        if (tmpl.endNumber != null && number > tmpl.endNumber) return segments;
+        if (time + s.d > start) add(number, time, s.d);
+        number++;
+        time += s.d;
+      }
+    }
+    return segments;
+  }
+
+  if (!tmpl.duration) return [];
+  let count;
+  if (Number.isFinite(edge)) count = Math.floor((Math.min(edge, periodEnd) - offset) / tmpl.duration);
+  else if (Number.isFinite(periodEnd)) count = Math.ceil((periodEnd - offset) / tmpl.duration - 1e-6);
+  else if (tmpl.endNumber == null) return null;
+  if (tmpl.endNumber != null) {
+    const total = tmpl.endNumber - tmpl.startNumber + 1;
+    count = count == null ? total : Math.min(count, total);
+  }
+  for (let i = Math.max(0, Math.floor((start - offset) / tmpl.duration)); i < count; i++) {
+    add(tmpl.startNumber + i, offset + i * tmpl.duration, tmpl.duration);
+  }
+  return segments;
+}
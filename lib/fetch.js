@@ -0,0 +1,168 @@
+/**
+ * VideoMancer - Authenticated Fetch
+ * Re-sends the cookies, tokens and referer a tab used for a stream, so that
+ * segments on paywalled and hotlink-protected CDNs can be downloaded.
+ *
+ * Each extension context has its own `tabRequestHeaders`: the service worker
+ * fills it from webRequest, the offscreen document from the snapshot sent
+ * with every job.  The offscreen document keys both maps by job rather than
+ * by tab, so that each job's requests can be cancelled on their own.
+ * Requests that fail in a way that may pass are retried with withRetries().
+ */
+
+// Map<tabId, { cookie, referer, origin, authorization, custom }>
+export const tabRequestHeaders = new Map();
+
+// Map<tabId, AbortSignal> that cancels every request made for the key
+export const requestSignals = new Map();
+
+/**
+ * Build fetch options with captured auth headers from the original page session.
+ * This is the KEY mechanism for paywall/subscription site support:
+ * - Forwards cookies so CDN thinks request comes from authenticated session
+ * - Forwards Authorization headers (Bearer tokens, Basic auth, etc.)
+ * - Forwards Referer so CDN doesn't reject the request as hotlinking
+ * - Forwards Origin for CORS-protected streams
+ * - Forwards custom X-* headers that CDNs use for token validation
+ */
+function buildAuthHeaders(tabId, targetUrl) {
+  const captured = tabRequestHeaders.get(tabId) || {};
+  const headers = {};
+
+  // Forward cookie for same-origin and same-domain segment requests
+  if (captured.cookie) {
+    headers['Cookie'] = captured.cookie;
+  }
+
+  // Forward authorization (Bearer/Basic tokens used by APIs like Wondrium, Udemy, etc.)
+  if (captured.authorization) {
+    headers['Authorization'] = captured.authorization;
+  }
+
+  // Forward referer (CDNs like Akamai/CloudFront check this to prevent hotlinking)
+  if (captured.referer) {
+    headers['Referer'] = captured.referer;
+  }
+
+  // Forward origin for CORS
+  if (captured.origin) {
+    headers['Origin'] = captured.origin;
+  }
+
+  // Forward custom CDN token headers (e.g., x-playback-session-id, x-custom-token)
+  if (captured.custom) {
+    for (const [name, value] of Object.entries(captured.custom)) {
+      if (name.toLowerCase() !== 'range') { // don't forward range headers
+        headers[name] = value;
+      }
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Fetch with authentication — wraps fetch() with captured headers.
+ * Falls back to unauthenticated fetch if authenticated request fails.
+ */
+export async function authenticatedFetch(url, tabId, extraOpts = {}) {
+  const authHeaders = buildAuthHeaders(tabId, url);
+  const hasAuth = Object.keys(authHeaders).length > 0;
+  const signal = requestSignals.get(tabId);
+
+  const fetchOpts = {
+    ...extraOpts,
+    headers: { ...authHeaders, ...(extraOpts.headers || {}) },
+    credentials: 'include', // include cookies for same-origin requests
+    signal,
+  };
+
+  try {
+    const resp = await fetch(url, fetchOpts);
+    if (resp.ok) return resp;
+
+    // If auth fetch got 403/401, try without auth headers (the URL itself may have tokens)
+    if (hasAuth && (resp.status === 403 || resp.status === 401)) {
+      return await fetch(url, { ...extraOpts, credentials: 'include', signal });
+    }
+    return resp;
+  } catch (err) {
+    // If authenticated fetch threw a network error (CORS), retry without custom headers
+    if (hasAuth && !signal?.aborted) {
+      return await fetch(url, { ...extraOpts, credentials: 'include', signal });
+    }
+    throw err;
+  }
+}
+
+// ── Retries ──────────────────────────────────────────────────────────────────
+
+// Attempts at a request that keeps failing in a way that may pass
+const MAX_ATTEMPTS = 4;
+
+// First retry delay, doubled for each further retry, and the longest wait
+const RETRY_BASE_DELAY = 500;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+/**
+ * The error for an unsuccessful response, with its `status` and, when the
+ * server sent Retry-After, the milliseconds it asked to wait as `retryAfter`.
+ */
+export function responseError(resp) {
+  const err = new Error(`HTTP ${resp.status}`);
+  err.status = resp.status;
+  const retryAfter = resp.headers.get('Retry-After');
+  if (retryAfter) {
+    // Either a number of seconds or an HTTP date
+    const ms = /^\d+$/.test(retryAfter.trim())
+      ? parseInt(retryAfter, 10) * 1000
+      : Date.parse(retryAfter) - Date.now();
+    if (!isNaN(ms)) err.retryAfter = Math.max(0, ms);
+  }
+  return err;
+}
+
+// Network errors, timeouts, rate limiting, server errors and segments that
+// failed validation (lib/validate.js) may pass
+function isRetryable(err) {
+  if (err.name === 'AbortError') return false;
+  if (err.invalid) return true;
+  if (err.status === undefined) return err instanceof TypeError;
+  return err.status === 408 || err.status === 425 || err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Call `request()` until it succeeds, retrying errors that may pass after an
+ * exponential backoff with jitter, or as long as Retry-After asks.  The
+ * waits end early when the requests for `tabId` are cancelled.
+ */
+export async function withRetries(request, tabId) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (err) {
+      if (attempt >= MAX_ATTEMPTS || !isRetryable(err)) throw err;
+      const backoff = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+      const delay = err.retryAfter ?? backoff / 2 + Math.random() * backoff / 2;
+      await wait(Math.min(delay, MAX_RETRY_DELAY), requestSignals.get(tabId));
+    }
+  }
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
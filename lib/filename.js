@@ -0,0 +1,112 @@
+/**
+ * VideoMancer - Filenames
+ * Cleans up names for chrome.downloads, which rejects reserved characters,
+ * and names downloads after the filename template from the settings.
+ *
+ * A template such as "{site}/{title} - {quality}" is filled in with what is
+ * known about the video, "/" separating subfolders of the Downloads folder.
+ * A variable without a value is left out together with the separator in
+ * front of it, so "{title} - {quality}" gives "Title" when the quality is not
+ * known.  Shared by the service worker, the offscreen document and the
+ * options page, which previews the template.
+ */
+
+// Used when the template is empty
+const DEFAULT_TEMPLATE = '{title}';
+
+// Separators dropped along with an empty variable, or left dangling at the
+// start or end of a name
+const SEPARATORS = '\\s._,·|–—-';
+
+export function sanitizeFilename(name) {
+  return name
+    .replace(/[<>:"/\\|?*]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 200);
+}
+
+/**
+ * The values of the template variables for `video`: a detected video, with
+ * the quality, resolution and duration its download settled on.
+ */
+export function filenameVariables(video, date = new Date()) {
+  const domain = hostname(video.pageUrl) || hostname(video.url);
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    title: video.pageTitle || (video.filename || '').replace(/\.\w{2,4}$/, '') || 'video',
+    quality: video.quality && video.quality !== 'Unknown' ? video.quality : '',
+    resolution: video.resolution || '',
+    duration: video.duration ? formatDuration(video.duration) : '',
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    domain,
+    site: siteName(domain),
+    id: video.id || '',
+    n: video.number ? pad(video.number) : '',
+  };
+}
+
+/**
+ * The path to save a file under: `template` filled in from `variables`,
+ * each folder and the name made safe, followed by `suffix` (".mp4",
+ * "_audio.m4a", ".en.vtt").  {ext} is the extension of the suffix, without
+ * the dot; a template ending in ".{ext}" does not get it twice.  Unknown
+ * variables are kept as typed.
+ */
+export function formatFilename(template, variables, suffix) {
+  const ext = suffix.slice(suffix.lastIndexOf('.') + 1);
+  const values = { ...variables, ext };
+  const pattern = new RegExp(`([${SEPARATORS}]*)\\{(\\w+)\\}`, 'g');
+  const parts = (template.trim() || DEFAULT_TEMPLATE)
+    .replace(/\.\{ext\}$/, '')
+    .split('/')
+    .map(part => tidy(part.replace(pattern, (match, separator, name) => {
+      if (!(name in values)) return match;
+      return values[name] ? separator + values[name].replace(/[/\\]/g, '_') : '';
+    })))
+    .filter(Boolean);
+
+  const name = parts.pop() || 'video';
+  const safeSuffix = sanitizeFilename(suffix);
+  return [
+    ...parts.map(sanitizeFilename),
+    sanitizeFilename(name).substring(0, 200 - safeSuffix.length) + safeSuffix,
+  ].join('/');
+}
+
+// Empty brackets and separators at either end, which chrome.downloads also
+// rejects as a leading or trailing dot
+function tidy(part) {
+  return part
+    .replace(/\(\s*\)|\[\s*\]/g, '')
+    .replace(new RegExp(`^[${SEPARATORS}]+|[${SEPARATORS}]+$`, 'g'), '');
+}
+
+function hostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+// "www.bbc.co.uk" → "bbc", "player.vimeo.com" → "vimeo"
+function siteName(domain) {
+  if (!domain || /^[\d.]+$|:/.test(domain)) return domain;
+  const labels = domain.split('.');
+  if (labels.length < 2) return domain;
+  // Second-level suffixes such as co.uk and com.au
+  const last = labels[labels.length - 1];
+  const secondLevel = labels.length > 2 && last.length === 2 && labels[labels.length - 2].length <= 3;
+  return labels[labels.length - (secondLevel ? 3 : 2)];
+}
+
+// "1h02m03s", "4m05s", "45s": colons are not allowed in filenames
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  if (h > 0) return `${h}h${String(m).padStart(2, '0')}m${s}s`;
+  return m > 0 ? `${m}m${s}s` : `${total}s`;
+}
@@ -0,0 +1,250 @@
+/**
+ * VideoMancer - HLS Playlist Parsing
+ * Parses master playlists (variants, audio and subtitle renditions) and media
+ * playlists (segments with their byte ranges, #EXT-X-MAP initialization
+ * segments and #EXT-X-KEY encryption keys).  Shared by the service worker,
+ * which lists qualities for the popup, and the offscreen document, which
+ * runs the downloads.
+ */
+
+export function resolveUrl(base, relative) {
+  try {
+    return new URL(relative, base).href;
+  } catch {
+    return relative;
+  }
+}
+
+export function parseM3U8Master(content, baseUrl) {
+  const lines = content.split('\n').map(l => l.trim());
+  const qualities = [];
+
+  // First pass: collect #EXT-X-MEDIA audio renditions grouped by GROUP-ID
+  // These are used by demuxed HLS streams (separate video + audio playlists)
+  // e.g. thegreatcourses.com / Wondrium streams use this pattern, often with
+  // one rendition per language or an audio-description track.
+  // A rendition without URI is the audio muxed into the variant itself.
+  const audioGroups = {}; // { groupId: [rendition] }
+  for (const line of lines) {
+    if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attrs = parseM3U8Attributes(line.substring('#EXT-X-MEDIA:'.length));
+      if (attrs.TYPE === 'AUDIO' && attrs['GROUP-ID']) {
+        const group = audioGroups[attrs['GROUP-ID']] || (audioGroups[attrs['GROUP-ID']] = []);
+        group.push({
+          url: attrs.URI ? resolveUrl(baseUrl, attrs.URI) : null,
+          name: attrs.NAME || attrs.LANGUAGE || `Audio ${group.length + 1}`,
+          language: attrs.LANGUAGE || '',
+          isDefault: attrs.DEFAULT === 'YES',
+          characteristics: attrs.CHARACTERISTICS ? attrs.CHARACTERISTICS.split(',') : [],
+        });
+      }
+    }
+  }
+
+  // Second pass: parse #EXT-X-STREAM-INF video variants
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attrs = line.substring('#EXT-X-STREAM-INF:'.length);
+      const bwMatch = attrs.match(/BANDWIDTH=(\d+)/);
+      const resMatch = attrs.match(/RESOLUTION=(\d+x\d+)/);
+      const nameMatch = attrs.match(/NAME="([^"]+)"/);
+      const codecsMatch = attrs.match(/CODECS="([^"]+)"/);
+      // AUDIO attribute links this variant to an audio rendition group
+      const audioMatch = attrs.match(/AUDIO="([^"]+)"/);
+
+      // Next non-comment line is the URL
+      let urlLine = '';
+      for (let j = i + 1; j < lines.length; j++) {
+        if (lines[j] && !lines[j].startsWith('#')) {
+          urlLine = lines[j];
+          break;
+        }
+      }
+
+      if (urlLine) {
+        const bandwidth = bwMatch ? parseInt(bwMatch[1], 10) : 0;
+        const resolution = resMatch ? resMatch[1] : null;
+        const height = resolution ? parseInt(resolution.split('x')[1], 10) : 0;
+
+        // Audio renditions this variant can be paired with (empty if muxed)
+        const audioGroupId = audioMatch ? audioMatch[1] : null;
+        const audioTracks = (audioGroupId && audioGroups[audioGroupId]) || [];
+
+        qualities.push({
+          url: resolveUrl(baseUrl, urlLine),
+          bandwidth,
+          resolution,
+          height,
+          codecs: codecsMatch ? codecsMatch[1] : '',
+          label: nameMatch ? nameMatch[1] : (height ? `${height}p` : `${Math.round(bandwidth / 1000)}kbps`),
+          audioTracks, // non-empty when audio renditions are separate playlists
+        });
+      }
+    }
+  }
+
+  // Sort by bandwidth descending
+  qualities.sort((a, b) => b.bandwidth - a.bandwidth);
+  return qualities;
+}
+
+/**
+ * #EXT-X-MEDIA:TYPE=SUBTITLES renditions of a master playlist, one entry per
+ * playlist URI.  Closed captions (TYPE=CLOSED-CAPTIONS) live inside the
+ * video stream and have no playlist of their own.
+ */
+export function parseM3U8Subtitles(content, baseUrl) {
+  const subtitles = [];
+  const seen = new Set();
+
+  for (const line of content.split('\n').map(l => l.trim())) {
+    if (!line.startsWith('#EXT-X-MEDIA:')) continue;
+    const attrs = parseM3U8Attributes(line.substring('#EXT-X-MEDIA:'.length));
+    if (attrs.TYPE !== 'SUBTITLES' || !attrs.URI) continue;
+
+    const url = resolveUrl(baseUrl, attrs.URI);
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    subtitles.push({
+      url,
+      name: attrs.NAME || attrs.LANGUAGE || 'Subtitles',
+      language: attrs.LANGUAGE || '',
+      forced: attrs.FORCED === 'YES',
+      isDefault: attrs.DEFAULT === 'YES',
+    });
+  }
+
+  return subtitles;
+}
+
+/**
+ * Parse an HLS attribute list (KEY=VALUE,KEY="quoted, value",...) into an
+ * object. Quotes are stripped; values are left as strings.
+ */
+function parseM3U8Attributes(str) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = re.exec(str)) !== null) {
+    attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attrs;
+}
+
+/** Parse a "<length>[@<offset>]" byte range. */
+function parseByteRange(value, defaultOffset) {
+  const [length, offset] = value.split('@');
+  return {
+    length: parseInt(length, 10),
+    offset: offset !== undefined ? parseInt(offset, 10) : defaultOffset,
+  };
+}
+
+/**
+ * What identifies an #EXT-X-MAP: its URI and byte range.  Playlists repeat
+ * the tag for the same init segment, e.g. after every discontinuity.
+ */
+export function mapKey(map) {
+  return map.byteRange ? `${map.url}@${map.byteRange.offset}+${map.byteRange.length}` : map.url;
+}
+
+/**
+ * The segments of a media playlist: [{ url, duration, map, byteRange,
+ * sequence, key, discontinuity }], `discontinuity` set on the first segment
+ * after an #EXT-X-DISCONTINUITY (an ad break or spliced content).  Segments
+ * share the `map` object for as long as the same init segment applies.
+ */
+export function parseM3U8Segments(content, baseUrl) {
+  const lines = content.split('\n').map(l => l.trim());
+  const segments = [];
+  let currentDuration = 0;
+  let discontinuity = false;
+  // fMP4/CMAF playlists: the #EXT-X-MAP in effect for the following segments
+  let currentMap = null;
+  // #EXT-X-BYTERANGE applies to the next URI only; without an explicit offset
+  // the range starts right after the previous sub-range of the same file
+  let pendingByteRange = null;
+  let previousRange = null;
+  // Segment numbers start at #EXT-X-MEDIA-SEQUENCE; they are also the default
+  // AES-128 IV, so they must be the real sequence numbers, not list indices
+  let sequence = 0;
+  // #EXT-X-KEY in effect (null = unencrypted); keys may rotate mid-playlist
+  let currentKey = null;
+
+  for (const line of lines) {
+    if (line.startsWith('#EXTINF:')) {
+      currentDuration = parseFloat(line.split(':')[1]);
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      sequence = parseInt(line.substring('#EXT-X-MEDIA-SEQUENCE:'.length), 10) || 0;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const key = parseM3U8Key(line.substring('#EXT-X-KEY:'.length), baseUrl);
+      if (key !== undefined) currentKey = key;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attrs = parseM3U8Attributes(line.substring('#EXT-X-MAP:'.length));
+      const map = attrs.URI ? {
+        url: resolveUrl(baseUrl, attrs.URI),
+        byteRange: attrs.BYTERANGE ? parseByteRange(attrs.BYTERANGE, 0) : null,
+        key: currentKey,
+      } : null;
+      // A repeated tag keeps the map it repeats
+      currentMap = map && currentMap && mapKey(map) === mapKey(currentMap) ? currentMap : map;
+    } else if (line === '#EXT-X-DISCONTINUITY') {
+      discontinuity = true;
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      pendingByteRange = line.substring('#EXT-X-BYTERANGE:'.length);
+    } else if (line && !line.startsWith('#')) {
+      const url = resolveUrl(baseUrl, line);
+      let byteRange = null;
+      if (pendingByteRange) {
+        const implicitOffset = previousRange && previousRange.url === url ? previousRange.end : 0;
+        byteRange = parseByteRange(pendingByteRange, implicitOffset);
+        previousRange = { url, end: byteRange.offset + byteRange.length };
+      }
+      segments.push({
+        url,
+        duration: currentDuration,
+        map: currentMap,
+        byteRange,
+        sequence: sequence++,
+        key: currentKey,
+        discontinuity,
+      });
+      currentDuration = 0;
+      pendingByteRange = null;
+      discontinuity = false;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Playlist-level tags of a media playlist.  Live playlists have no
+ * #EXT-X-ENDLIST and are reloaded roughly every target duration.
+ */
+export function parseM3U8MediaInfo(content) {
+  const match = content.match(/#EXT-X-TARGETDURATION:\s*(\d+(?:\.\d+)?)/);
+  return {
+    targetDuration: match ? parseFloat(match[1]) : 0,
+    ended: /#EXT-X-ENDLIST/.test(content),
+  };
+}
+
+
+/**
+ * Parse the attributes of an #EXT-X-KEY tag.
+ * Returns null for METHOD=NONE and undefined for keys that are not ours to
+ * use (KEYFORMAT other than "identity", i.e. DRM systems).
+ */
+function parseM3U8Key(attrString, baseUrl) {
+  const attrs = parseM3U8Attributes(attrString);
+  if (attrs.KEYFORMAT && attrs.KEYFORMAT !== 'identity') return undefined;
+  if (!attrs.METHOD || attrs.METHOD === 'NONE') return null;
+  return {
+    method: attrs.METHOD,
+    uri: attrs.URI ? resolveUrl(baseUrl, attrs.URI) : null,
+    iv: attrs.IV ? attrs.IV.replace(/^0x/i, '') : null, // null = use media sequence number
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * VideoMancer - Job Store
+ * Downloads that survive a browser restart.  Each stored job is an OPFS
+ * directory, jobs/<id>/, holding job.json (what to download, with which
+ * referer, and how far it got) and a SpoolFile per track.  Cookies and
+ * other credentials are never stored.
+ *
+ * The offscreen document creates and updates jobs as segments arrive; the
+ * service worker lists the ones that are not running as paused and removes
+ * those the user discards.  A job whose file has been saved loses its
+ * job.json at once; the rest of its directory goes when the download has
+ * read it, or with the directories of other finished jobs the next time an
+ * offscreen document opens the store.
+ */
+
+import { SpoolFile } from './spool.js';
+
+const JOBS_DIRECTORY = 'jobs';
+const STATE_FILE = 'job.json';
+
+let openedStore = null;
+
+async function jobsDirectory() {
+  const root = await navigator.storage.getDirectory();
+  return root.getDirectoryHandle(JOBS_DIRECTORY, { create: true });
+}
+
+// jobsDirectory() for the offscreen document, cleared of finished jobs once
+function openStore() {
+  if (!openedStore) {
+    openedStore = (async () => {
+      const dir = await jobsDirectory();
+      for await (const [name, handle] of dir.entries()) {
+        if (handle.kind === 'directory' && !(await readState(handle))) {
+          await dir.removeEntry(name, { recursive: true });
+        }
+      }
+      return dir;
+    })();
+  }
+  return openedStore;
+}
+
+async function readState(dir) {
+  try {
+    const file = await (await dir.getFileHandle(STATE_FILE)).getFile();
+    return JSON.parse(await file.text());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A job's state as it is written to disk: of its request `headers` only the
+ * referer and origin are kept, and its video loses the response headers it
+ * was detected with, which may include Set-Cookie.
+ */
+export function withoutCredentials(state) {
+  const stored = { ...state };
+  if (state.headers) {
+    const { referer, origin } = state.headers;
+    stored.headers = { referer, origin };
+  }
+  if (state.video) {
+    stored.video = { ...state.video };
+    delete stored.video.headers;
+  }
+  return stored;
+}
+
+export class StoredJob {
+  /**
+   * Store a new job.  `info` is kept as its state, e.g. { video, headers },
+   * and extended with `tracks` and whatever save() adds.
+   */
+  static async create(info) {
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    const dir = await (await openStore()).getDirectoryHandle(id, { create: true });
+    const job = new StoredJob(dir, { ...info, id, tracks: {}, createdAt: Date.now() });
+    await job.save();
+    return job;
+  }
+
+  /** A stored job by id, or null when there is none. */
+  static async load(id) {
+    const store = await openStore();
+    const dir = await store.getDirectoryHandle(id).catch(() => null);
+    const state = dir && (await readState(dir));
+    return state ? new StoredJob(dir, state) : null;
+  }
+
+  /** The states of all stored jobs, oldest first. */
+  static async list() {
+    const jobs = [];
+    for await (const handle of (await jobsDirectory()).values()) {
+      const state = handle.kind === 'directory' && (await readState(handle));
+      if (state) jobs.push(state);
+    }
+    return jobs.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /** Delete a stored job and its files. */
+  static async remove(id) {
+    await (await jobsDirectory()).removeEntry(id, { recursive: true }).catch(() => { /* already gone */ });
+  }
+
+  constructor(dir, state) {
+    this.state = state;
+    this._dir = dir;
+  }
+
+  get id() {
+    return this.state.id;
+  }
+
+  /** The SpoolFile of track `name`, continued from its last saved checkpoint. */
+  spool(name) {
+    return SpoolFile.open(this._dir, name, this.state.tracks[name]?.spool);
+  }
+
+  /**
+   * Merge `changes` into the state and write it to disk, without
+   * credentials.
+   */
+  async save(changes = {}) {
+    Object.assign(this.state, changes, { updatedAt: Date.now() });
+    const writable = await (await this._dir.getFileHandle(STATE_FILE, { create: true })).createWritable();
+    await writable.write(JSON.stringify(withoutCredentials(this.state)));
+    await writable.close();
+  }
+
+  /** The job's file has been saved: it can no longer be resumed. */
+  async finish() {
+    await this._dir.removeEntry(STATE_FILE).catch(() => { /* already gone */ });
+  }
+
+  async remove() {
+    await StoredJob.remove(this.id);
+  }
+}
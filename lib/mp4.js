@@ -0,0 +1,1007 @@
+/**
+ * VideoMancer - Fragmented MP4 Muxer
+ * Writes ISO BMFF (ftyp/moov + moof/mdat fragments) from elementary-stream
+ * samples, and remuxes HLS MPEG-TS segments into a playable .mp4 so
+ * downloads no longer need a manual ffmpeg pass.
+ *
+ * Fragmented output is used on purpose: every HLS segment becomes one
+ * moof/mdat pair, so the file can be produced incrementally without knowing
+ * the total duration or keeping a sample table for the whole video.
+ */
+
+import { TSDemuxer, concatBytes } from './mpegts.js';
+
+const MPEG_TIMESCALE = 90000;
+const AAC_FRAME_SAMPLES = 1024;
+
+// Sample flags (ISO/IEC 14496-12 §8.8.3.1)
+const SAMPLE_FLAGS_SYNC = 0x02000000; // sample_depends_on = 2 (I-frame)
+const SAMPLE_FLAGS_NON_SYNC = 0x01010000; // depends_on = 1, is_non_sync_sample
+
+// ── Box writing ──────────────────────────────────────────────────────────────
+
+function u8(n) { return Uint8Array.of(n & 0xff); }
+function u16(n) { return Uint8Array.of((n >> 8) & 0xff, n & 0xff); }
+function u24(n) { return Uint8Array.of((n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff); }
+function u32(n) { return Uint8Array.of((n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff); }
+function u64(n) {
+  const hi = Math.floor(n / 4294967296);
+  return concatBytes([u32(hi), u32(n - hi * 4294967296)]);
+}
+function zeros(n) { return new Uint8Array(n); }
+function ascii(str) { return Uint8Array.from(str, c => c.charCodeAt(0)); }
+
+function box(type, ...payload) {
+  const body = concatBytes(payload.length ? payload : [zeros(0)]);
+  return concatBytes([u32(body.length + 8), ascii(type), body]);
+}
+
+function fullBox(type, version, flags, ...payload) {
+  return box(type, u8(version), u24(flags), ...payload);
+}
+
+const UNITY_MATRIX = concatBytes([
+  u32(0x00010000), u32(0), u32(0),
+  u32(0), u32(0x00010000), u32(0),
+  u32(0), u32(0), u32(0x40000000),
+]);
+
+// ── Init segment ─────────────────────────────────────────────────────────────
+
+function ftyp(audioOnly) {
+  const major = audioOnly ? 'M4A ' : 'isom';
+  return box('ftyp', ascii(major), u32(0x200), ascii(major), ascii('isom'), ascii('iso6'), ascii('mp41'));
+}
+
+function mvhd(nextTrackId) {
+  return fullBox('mvhd', 0, 0,
+    u32(0), u32(0), // creation / modification time
+    u32(1000), u32(0), // timescale, duration (unknown for fragmented files)
+    u32(0x00010000), u16(0x0100), zeros(10),
+    UNITY_MATRIX, zeros(24),
+    u32(nextTrackId),
+  );
+}
+
+function tkhd(track) {
+  const isVideo = track.type === 'video';
+  // track_enabled | track_in_movie; alternates other than the default are disabled
+  const flags = track.enabled === false ? 0x000002 : 0x000003;
+  return fullBox('tkhd', 0, flags,
+    u32(0), u32(0), u32(track.id), u32(0), u32(0), zeros(8),
+    u16(0), u16(track.alternateGroup || 0), u16(isVideo ? 0 : 0x0100), u16(0),
+    UNITY_MATRIX,
+    u32((track.width || 0) * 65536), u32((track.height || 0) * 65536),
+  );
+}
+
+function mdhd(track) {
+  return fullBox('mdhd', 0, 0, u32(0), u32(0), u32(track.timescale), u32(0), u16(packLanguage(track.language)), u16(0));
+}
+
+// ISO 639-2/T codes for the RFC 5646 primary subtags HLS playlists use most
+const ISO_639_2 = {
+  ar: 'ara', cs: 'ces', da: 'dan', de: 'deu', el: 'ell', en: 'eng', es: 'spa', fa: 'fas',
+  fi: 'fin', fr: 'fra', he: 'heb', hi: 'hin', hu: 'hun', id: 'ind', it: 'ita', ja: 'jpn',
+  ko: 'kor', ms: 'msa', nb: 'nob', nl: 'nld', no: 'nor', pl: 'pol', pt: 'por', ro: 'ron',
+  ru: 'rus', sv: 'swe', ta: 'tam', th: 'tha', tr: 'tur', uk: 'ukr', vi: 'vie', zh: 'zho',
+};
+
+/**
+ * mdhd language: three ISO 639-2/T letters packed 5 bits each ('und' when
+ * the tag is missing or unknown).
+ */
+function packLanguage(language) {
+  const primary = (language || '').toLowerCase().split(/[-_]/)[0];
+  const code = /^[a-z]{3}$/.test(primary) ? primary : ISO_639_2[primary] || 'und';
+  return [...code].reduce((packed, c) => (packed << 5) | (c.charCodeAt(0) - 0x60), 0);
+}
+
+function hdlr(track) {
+  const isVideo = track.type === 'video';
+  // Players list alternate audio tracks by their handler name
+  const name = track.name || (isVideo ? 'VideoHandler' : 'SoundHandler');
+  return fullBox('hdlr', 0, 0,
+    u32(0), ascii(isVideo ? 'vide' : 'soun'), zeros(12),
+    new TextEncoder().encode(name), u8(0),
+  );
+}
+
+function avcC(track) {
+  const { sps, pps } = track;
+  return box('avcC',
+    u8(1), u8(sps[1]), u8(sps[2]), u8(sps[3]),
+    u8(0xff), // lengthSizeMinusOne = 3
+    u8(0xe1), u16(sps.length), sps,
+    u8(1), u16(pps.length), pps,
+  );
+}
+
+function hvcC(track) {
+  const h = track.hevc;
+  const arrays = [[32, track.vps], [33, track.sps], [34, track.pps]]
+    .filter(([, nal]) => nal)
+    .map(([type, nal]) => concatBytes([u8(0x80 | type), u16(1), u16(nal.length), nal]));
+
+  return box('hvcC',
+    u8(1),
+    u8((h.profileSpace << 6) | (h.tierFlag << 5) | h.profileIdc),
+    u32(h.compatibilityFlags),
+    Uint8Array.from(h.constraintFlags),
+    u8(h.levelIdc),
+    u16(0xf000), // min_spatial_segmentation_idc
+    u8(0xfc), // parallelismType
+    u8(0xfc | h.chromaFormatIdc),
+    u8(0xf8 | (h.bitDepthLuma - 8)),
+    u8(0xf8 | (h.bitDepthChroma - 8)),
+    u16(0), // avgFrameRate
+    u8((h.numTemporalLayers << 3) | (h.temporalIdNested << 2) | 0x03),
+    u8(arrays.length),
+    ...arrays,
+  );
+}
+
+function visualSampleEntry(track) {
+  const hevc = track.codec === 'hevc';
+  return box(hevc ? 'hvc1' : 'avc1',
+    zeros(6), u16(1), // reserved, data_reference_index
+    zeros(16),
+    u16(track.width), u16(track.height),
+    u32(0x00480000), u32(0x00480000), // 72 dpi
+    u32(0), u16(1), // reserved, frame_count
+    zeros(32), // compressorname
+    u16(0x0018), u16(0xffff),
+    hevc ? hvcC(track) : avcC(track),
+  );
+}
+
+function descriptor(tag, ...payload) {
+  const body = concatBytes(payload);
+  return concatBytes([u8(tag), Uint8Array.of(0x80, 0x80, 0x80, body.length), body]);
+}
+
+function audioSpecificConfig(track) {
+  const asc = (track.objectType << 11) | (track.samplingIndex << 7) | (track.channelConfig << 3);
+  return u16(asc);
+}
+
+function mp4aSampleEntry(track) {
+  const esds = fullBox('esds', 0, 0,
+    descriptor(0x03, u16(track.id), u8(0),
+      descriptor(0x04,
+        u8(0x40), // MPEG-4 Audio
+        u8(0x15), // AudioStream, upstream = 0, reserved = 1
+        u24(0), u32(0), u32(0),
+        descriptor(0x05, audioSpecificConfig(track)),
+      ),
+      descriptor(0x06, u8(0x02)),
+    ),
+  );
+
+  return box('mp4a',
+    zeros(6), u16(1),
+    zeros(8),
+    u16(track.channelCount), u16(16),
+    u16(0), u16(0),
+    u32(track.sampleRate * 65536),
+    esds,
+  );
+}
+
+function stbl(track) {
+  const entry = track.type === 'video' ? visualSampleEntry(track) : mp4aSampleEntry(track);
+  return box('stbl',
+    fullBox('stsd', 0, 0, u32(1), entry),
+    fullBox('stts', 0, 0, u32(0)),
+    fullBox('stsc', 0, 0, u32(0)),
+    fullBox('stsz', 0, 0, u32(0), u32(0)),
+    fullBox('stco', 0, 0, u32(0)),
+  );
+}
+
+function trak(track) {
+  const mediaHeader = track.type === 'video'
+    ? fullBox('vmhd', 0, 1, zeros(8))
+    : fullBox('smhd', 0, 0, zeros(4));
+  const dinf = box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1)));
+
+  return box('trak',
+    tkhd(track),
+    ...(track.mediaTime ? [edts(track)] : []),
+    box('mdia', mdhd(track), hdlr(track), box('minf', mediaHeader, dinf, stbl(track))),
+  );
+}
+
+// Presentation starts `mediaTime` into the track, to the end of the file
+function edts(track) {
+  return box('edts', fullBox('elst', 0, 0, u32(1), u32(0), u32(track.mediaTime), u16(1), u16(0)));
+}
+
+function trex(track) {
+  return fullBox('trex', 0, 0, u32(track.id), u32(1), u32(0), u32(0), u32(0));
+}
+
+// ── Fragments ────────────────────────────────────────────────────────────────
+
+function traf(track, baseTime, samples, dataOffset) {
+  const entries = samples.map(s => concatBytes([
+    u32(s.duration),
+    u32(s.data.length),
+    u32(track.type === 'audio' || s.key ? SAMPLE_FLAGS_SYNC : SAMPLE_FLAGS_NON_SYNC),
+    u32(s.cto || 0),
+  ]));
+
+  return box('traf',
+    fullBox('tfhd', 0, 0x020000, u32(track.id)), // default-base-is-moof
+    fullBox('tfdt', 1, 0, u64(baseTime)),
+    // data-offset | sample-duration | sample-size | sample-flags | composition-time-offset
+    fullBox('trun', 0, 0x000f01, u32(samples.length), u32(dataOffset), ...entries),
+  );
+}
+
+/**
+ * Writes fragmented MP4 for a fixed set of tracks.
+ *
+ * Track: { id, type: 'video'|'audio', codec: 'avc'|'hevc'|'aac', timescale,
+ *          width, height, sps, pps, vps, hevc,
+ *          sampleRate, channelCount, objectType, samplingIndex, channelConfig,
+ *          language, name, alternateGroup, enabled }
+ */
+export class FMP4Muxer {
+  constructor(tracks) {
+    this.tracks = tracks;
+    this.sequence = 0;
+  }
+
+  initSegment() {
+    const audioOnly = this.tracks.every(t => t.type === 'audio');
+    const nextTrackId = Math.max(...this.tracks.map(t => t.id)) + 1;
+    return concatBytes([
+      ftyp(audioOnly),
+      box('moov',
+        mvhd(nextTrackId),
+        ...this.tracks.map(trak),
+        box('mvex', ...this.tracks.map(trex)),
+      ),
+    ]);
+  }
+
+  /**
+   * Build one moof/mdat pair.
+   * @param {Array<{ track, baseTime, samples: Array<{ duration, data, key, cto }> }>} parts
+   */
+  fragment(parts) {
+    parts = parts.filter(p => p.samples.length > 0);
+    if (parts.length === 0) return null;
+    this.sequence++;
+
+    const build = (offsets) => box('moof',
+      fullBox('mfhd', 0, 0, u32(this.sequence)),
+      ...parts.map((p, i) => traf(p.track, p.baseTime, p.samples, offsets[i])),
+    );
+
+    // Sample data for each traf follows the previous one inside a single mdat
+    const moofSize = build(parts.map(() => 0)).length;
+    const offsets = [];
+    let offset = moofSize + 8;
+    for (const p of parts) {
+      offsets.push(offset);
+      for (const s of p.samples) offset += s.data.length;
+    }
+
+    const mdat = [];
+    for (const p of parts) for (const s of p.samples) mdat.push(s.data);
+    const mdatBody = concatBytes(mdat.length ? mdat : [zeros(0)]);
+
+    return concatBytes([build(offsets), u32(mdatBody.length + 8), ascii('mdat'), mdatBody]);
+  }
+}
+
+// ── Box parsing ──────────────────────────────────────────────────────────────
+
+/**
+ * The boxes laid out in bytes[start, end), in order, as
+ * { type, start, end, headerSize } (offsets into `bytes`).
+ */
+function* iterateBoxes(bytes, start = 0, end = bytes.length) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = view.getUint32(pos);
+    let headerSize = 8;
+    if (size === 1 && pos + 16 <= end) {
+      size = view.getUint32(pos + 8) * 4294967296 + view.getUint32(pos + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - pos; // box extends to the end of the data
+    }
+    if (size < headerSize) return;
+    const type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+    yield { type, start: pos, end: Math.min(pos + size, end), headerSize };
+    pos += size;
+  }
+}
+
+/**
+ * Find the first box of `type` among the boxes laid out in bytes[start, end).
+ * Returns { start, end, headerSize } (offsets into `bytes`) or null.
+ */
+export function findBox(bytes, type, start = 0, end = bytes.length) {
+  for (const found of iterateBoxes(bytes, start, end)) {
+    if (found.type === type) return found;
+  }
+  return null;
+}
+
+function findChildBoxes(bytes, parent, type) {
+  return [...iterateBoxes(bytes, parent.start + parent.headerSize, parent.end)].filter(b => b.type === type);
+}
+
+/**
+ * Map of track_ID → media timescale from an init segment's moov.
+ */
+export function readTrackTimescales(init) {
+  const bytes = init instanceof Uint8Array ? init : new Uint8Array(init);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const timescales = new Map();
+  const moov = findBox(bytes, 'moov');
+  if (!moov) return timescales;
+
+  for (const trak of findChildBoxes(bytes, moov, 'trak')) {
+    const tkhd = findChildBoxes(bytes, trak, 'tkhd')[0];
+    const mdia = findChildBoxes(bytes, trak, 'mdia')[0];
+    const mdhd = mdia && findChildBoxes(bytes, mdia, 'mdhd')[0];
+    if (!tkhd || !mdhd) continue;
+    // Both skip version/flags and the creation/modification times
+    const tkhdBody = tkhd.start + tkhd.headerSize;
+    const mdhdBody = mdhd.start + mdhd.headerSize;
+    const trackId = view.getUint32(tkhdBody + (bytes[tkhdBody] === 1 ? 20 : 12));
+    timescales.set(trackId, view.getUint32(mdhdBody + (bytes[mdhdBody] === 1 ? 20 : 12)));
+  }
+  return timescales;
+}
+
+/**
+ * Add deltas.get(track_ID) ticks to the baseMediaDecodeTime (tfdt) of every
+ * track fragment in a media segment, in place.  A version 0 tfdt that would
+ * not fit its 32 bits is left alone.
+ */
+export function shiftFragmentTimes(segment, deltas) {
+  const bytes = segment instanceof Uint8Array ? segment : new Uint8Array(segment);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  for (const moof of iterateBoxes(bytes)) {
+    if (moof.type !== 'moof') continue;
+    for (const traf of findChildBoxes(bytes, moof, 'traf')) {
+      const tfhd = findChildBoxes(bytes, traf, 'tfhd')[0];
+      const tfdt = findChildBoxes(bytes, traf, 'tfdt')[0];
+      if (!tfhd || !tfdt) continue;
+      const delta = deltas.get(view.getUint32(tfhd.start + tfhd.headerSize + 4));
+      if (!delta) continue;
+
+      const body = tfdt.start + tfdt.headerSize;
+      if (bytes[body] === 1) {
+        const time = Math.max(0, view.getUint32(body + 4) * 4294967296 + view.getUint32(body + 8) + delta);
+        view.setUint32(body + 4, Math.floor(time / 4294967296));
+        view.setUint32(body + 8, time % 4294967296);
+      } else {
+        const time = view.getUint32(body + 4) + delta;
+        if (time >= 0 && time < 4294967296) view.setUint32(body + 4, time);
+      }
+    }
+  }
+  return segment;
+}
+
+/**
+ * Parse a segment index (sidx, ISO/IEC 14496-12 §8.16.3).  `fileOffset` is
+ * the position of bytes[0] in the media file, so reference offsets come back
+ * absolute.  referenceType 1 points at another sidx rather than media.
+ *
+ * Returns { timescale, earliestPresentationTime,
+ *           references: [{ referenceType, offset, size, duration }] } or null.
+ */
+export function parseSidx(bytes, fileOffset = 0) {
+  const box = findBox(bytes, 'sidx');
+  if (!box) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = box.start + box.headerSize;
+  const version = bytes[pos];
+  pos += 4 + 4; // version/flags, reference_ID
+  const timescale = view.getUint32(pos);
+  pos += 4;
+
+  let earliestPresentationTime;
+  let firstOffset;
+  if (version === 0) {
+    earliestPresentationTime = view.getUint32(pos);
+    firstOffset = view.getUint32(pos + 4);
+    pos += 8;
+  } else {
+    earliestPresentationTime = view.getUint32(pos) * 4294967296 + view.getUint32(pos + 4);
+    firstOffset = view.getUint32(pos + 8) * 4294967296 + view.getUint32(pos + 12);
+    pos += 16;
+  }
+  const count = view.getUint16(pos + 2);
+  pos += 4;
+
+  // Referenced data starts right after the sidx box
+  let offset = fileOffset + box.end + firstOffset;
+  const references = [];
+  for (let i = 0; i < count && pos + 12 <= box.end; i++, pos += 12) {
+    const word = view.getUint32(pos);
+    const size = word & 0x7fffffff;
+    references.push({
+      referenceType: word >>> 31,
+      offset,
+      size,
+      duration: view.getUint32(pos + 4),
+    });
+    offset += size;
+  }
+
+  return { timescale, earliestPresentationTime, references };
+}
+
+// ── Track merging ────────────────────────────────────────────────────────────
+
+/**
+ * Merge separately downloaded fragmented MP4 streams (a DASH video and audio
+ * representation, demuxed fMP4 HLS renditions) into one file.  Each input is
+ * a byte source, { size, read(offset, length) } resolving to a Uint8Array,
+ * holding a stream's init segment followed by its media segments; the first
+ * moov of an input describes it and later ones are skipped.  Tracks are
+ * renumbered 1..n, fragments are interleaved by decode time, and several
+ * audio tracks become alternates with only the first enabled.  A single
+ * audio input comes out as a plain M4A, without its styp and sidx boxes.
+ *
+ * Yields the parts of the merged file: ftyp and moov, then one fragment at a
+ * time, so no more than a fragment per input is held in memory.  Throws when
+ * an input has no moov or its fragments use absolute data offsets, which
+ * cannot survive being moved.
+ */
+export async function* mergeFragmentedMP4(inputs) {
+  let ftypBox = null;
+  let mvhdBox = null;
+  let movieTimescale = 0;
+  const tracks = [];
+  const streams = [];
+
+  for (const source of inputs) {
+    const ids = new Map(); // input track_ID → merged track_ID
+    for await (const found of iterateSourceBoxes(source)) {
+      if (found.type === 'ftyp' && !ftypBox) {
+        ftypBox = await source.read(found.start, found.end - found.start);
+      } else if (found.type === 'moov') {
+        const bytes = await source.read(found.start, found.end - found.start);
+        const moov = readMoov(bytes, { start: 0, end: bytes.length, headerSize: found.headerSize });
+        if (!mvhdBox) {
+          mvhdBox = moov.mvhd;
+          movieTimescale = moov.timescale;
+        }
+        for (const track of moov.tracks) {
+          const id = tracks.length + 1;
+          ids.set(track.id, id);
+          setTrackId(track, id);
+          if (moov.timescale !== movieTimescale) rescaleTrackDurations(track.trak, movieTimescale / moov.timescale);
+          tracks.push(track);
+        }
+        break;
+      }
+    }
+    if (ids.size === 0) throw new Error('No initialization segment (moov) in input');
+    streams.push({ source, ids, boxes: iterateSourceBoxes(source), held: null, lastTime: 0, next: null });
+  }
+
+  // Alternate audio tracks: players pick one, starting with the first
+  const audio = tracks.filter(track => track.handler === 'soun');
+  if (audio.length > 1) {
+    audio.forEach((track, i) => setTrackAlternate(track.trak, 1, i === 0));
+  }
+
+  const view = new DataView(mvhdBox.buffer, mvhdBox.byteOffset, mvhdBox.byteLength);
+  view.setUint32(mvhdBox.length - 4, tracks.length + 1); // next_track_ID
+  const hasVideo = tracks.some(track => track.handler === 'vide');
+  // An audio-only result is branded M4A whatever its source said
+  yield (hasVideo && ftypBox) || ftyp(!hasVideo);
+  yield box('moov', mvhdBox, ...tracks.map(track => track.trak), box('mvex', ...tracks.map(track => track.trex)));
+
+  // Interleave: always emit the earliest pending fragment
+  for (const stream of streams) stream.next = await readFragment(stream, tracks);
+  let sequence = 1;
+  for (;;) {
+    let pick = null;
+    for (const stream of streams) {
+      if (stream.next && (!pick || stream.next.time < pick.next.time)) pick = stream;
+    }
+    if (!pick) break;
+    const fragment = pick.next;
+    // mfhd sequence_number
+    new DataView(fragment.data.buffer, fragment.data.byteOffset, fragment.data.byteLength).setUint32(fragment.mfhdOffset, sequence++);
+    yield fragment.data;
+    pick.next = await readFragment(pick, tracks);
+  }
+}
+
+/**
+ * The top-level boxes of a byte source, as { type, start, end, headerSize };
+ * only their headers are read.
+ */
+async function* iterateSourceBoxes(source) {
+  let pos = 0;
+  while (pos + 8 <= source.size) {
+    const header = await source.read(pos, 16);
+    const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+    let size = view.getUint32(0);
+    let headerSize = 8;
+    if (size === 1 && header.length >= 16) {
+      size = view.getUint32(8) * 4294967296 + view.getUint32(12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = source.size - pos; // box extends to the end of the data
+    }
+    if (size < headerSize) return;
+    const type = String.fromCharCode(header[4], header[5], header[6], header[7]);
+    yield { type, start: pos, end: Math.min(pos + size, source.size), headerSize };
+    pos += size;
+  }
+}
+
+/**
+ * The next fragment of a merge input (a moof and the mdat it points into,
+ * which follows it directly), renumbered; null after the last one.
+ */
+async function readFragment(stream, tracks) {
+  for (;;) {
+    const found = stream.held || (await stream.boxes.next()).value;
+    stream.held = null;
+    if (!found) return null;
+    if (found.type !== 'moof') continue;
+
+    let end = found.end;
+    const after = (await stream.boxes.next()).value;
+    if (after && after.type === 'mdat') end = after.end;
+    else stream.held = after;
+
+    const bytes = await stream.source.read(found.start, end - found.start);
+    const fragment = renumberFragment({ bytes, start: 0, end: bytes.length }, stream.ids, tracks);
+    // A fragment without a tfdt stays right after its predecessor
+    fragment.time = stream.lastTime = fragment.time ?? stream.lastTime;
+    return fragment;
+  }
+}
+
+/**
+ * mvhd, timescale, and each trak with its trex, handler type and media
+ * timescale, copied out of an init segment's moov.
+ */
+function readMoov(bytes, moov) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const mvhdFound = findChildBoxes(bytes, moov, 'mvhd')[0];
+  if (!mvhdFound) throw new Error('moov without mvhd');
+  const mvhdBody = mvhdFound.start + mvhdFound.headerSize;
+  const timescale = view.getUint32(mvhdBody + (bytes[mvhdBody] === 1 ? 20 : 12));
+
+  const mvex = findChildBoxes(bytes, moov, 'mvex')[0];
+  const trexes = new Map();
+  for (const trex of mvex ? findChildBoxes(bytes, mvex, 'trex') : []) {
+    trexes.set(view.getUint32(trex.start + trex.headerSize + 4), bytes.slice(trex.start, trex.end));
+  }
+
+  const tracks = findChildBoxes(bytes, moov, 'trak').map((found) => {
+    const trak = bytes.slice(found.start, found.end);
+    const tkhd = findChildBoxes(trak, { start: 0, end: trak.length, headerSize: 8 }, 'tkhd')[0];
+    const mdia = findChildBoxes(trak, { start: 0, end: trak.length, headerSize: 8 }, 'mdia')[0];
+    const hdlr = mdia && findChildBoxes(trak, mdia, 'hdlr')[0];
+    const mdhd = mdia && findChildBoxes(trak, mdia, 'mdhd')[0];
+    if (!tkhd || !hdlr || !mdhd) throw new Error('Incomplete trak in moov');
+
+    const trakView = new DataView(trak.buffer, trak.byteOffset, trak.byteLength);
+    const tkhdBody = tkhd.start + tkhd.headerSize;
+    const mdhdBody = mdhd.start + mdhd.headerSize;
+    const hdlrBody = hdlr.start + hdlr.headerSize;
+    const id = trakView.getUint32(tkhdBody + (trak[tkhdBody] === 1 ? 20 : 12));
+    return {
+      id,
+      trak,
+      trex: trexes.get(id) || fullBox('trex', 0, 0, u32(id), u32(1), u32(0), u32(0), u32(0)),
+      handler: String.fromCharCode(...trak.subarray(hdlrBody + 8, hdlrBody + 12)),
+      timescale: trakView.getUint32(mdhdBody + (trak[mdhdBody] === 1 ? 20 : 12)),
+    };
+  });
+
+  return { mvhd: bytes.slice(mvhdFound.start, mvhdFound.end), timescale, tracks };
+}
+
+function setTrackId(track, id) {
+  const { trak, trex } = track;
+  const tkhd = findBox(trak, 'tkhd', 8);
+  const body = tkhd.start + tkhd.headerSize;
+  new DataView(trak.buffer, trak.byteOffset, trak.byteLength).setUint32(body + (trak[body] === 1 ? 20 : 12), id);
+  new DataView(trex.buffer, trex.byteOffset, trex.byteLength).setUint32(12, id);
+}
+
+/**
+ * Bring a trak's movie-timescale durations (tkhd, edit list) onto the
+ * merged file's mvhd timescale.
+ */
+function rescaleTrackDurations(trak, factor) {
+  const view = new DataView(trak.buffer, trak.byteOffset, trak.byteLength);
+  const scale = (pos, wide) => {
+    if (wide) {
+      const value = Math.round((view.getUint32(pos) * 4294967296 + view.getUint32(pos + 4)) * factor);
+      view.setUint32(pos, Math.floor(value / 4294967296));
+      view.setUint32(pos + 4, value % 4294967296);
+    } else {
+      view.setUint32(pos, Math.min(Math.round(view.getUint32(pos) * factor), 0xffffffff));
+    }
+  };
+
+  const tkhd = findBox(trak, 'tkhd', 8);
+  const tkhdBody = tkhd.start + tkhd.headerSize;
+  scale(tkhdBody + (trak[tkhdBody] === 1 ? 28 : 20), trak[tkhdBody] === 1);
+
+  const edts = findBox(trak, 'edts', 8);
+  const elst = edts && findChildBoxes(trak, edts, 'elst')[0];
+  if (!elst) return;
+  const body = elst.start + elst.headerSize;
+  const wide = trak[body] === 1;
+  const count = view.getUint32(body + 4);
+  for (let i = 0, pos = body + 8; i < count; i++, pos += wide ? 20 : 12) scale(pos, wide);
+}
+
+function setTrackAlternate(trak, group, enabled) {
+  const tkhd = findBox(trak, 'tkhd', 8);
+  const body = tkhd.start + tkhd.headerSize;
+  const wide = trak[body] === 1;
+  // flags bit 0: track_enabled
+  trak[body + 3] = enabled ? trak[body + 3] | 1 : trak[body + 3] & ~1;
+  new DataView(trak.buffer, trak.byteOffset, trak.byteLength).setUint16(body + (wide ? 46 : 34), group);
+}
+
+/**
+ * Point a fragment's track fragments at the merged track_IDs (in place) and
+ * work out its decode time in seconds for interleaving (null without tfdt).
+ */
+function renumberFragment(fragment, ids, tracks) {
+  const data = fragment.bytes.subarray(fragment.start, fragment.end);
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const moof = findBox(data, 'moof');
+  const mfhd = findChildBoxes(data, moof, 'mfhd')[0];
+  let time = null;
+
+  for (const traf of findChildBoxes(data, moof, 'traf')) {
+    const tfhd = findChildBoxes(data, traf, 'tfhd')[0];
+    if (!tfhd) continue;
+    const body = tfhd.start + tfhd.headerSize;
+    if (data[body + 3] & 0x01) throw new Error('Fragments with absolute base data offsets cannot be merged');
+    const id = ids.get(view.getUint32(body + 4));
+    if (id == null) throw new Error('Fragment refers to a track missing from its init segment');
+    view.setUint32(body + 4, id);
+
+    const tfdt = findChildBoxes(data, traf, 'tfdt')[0];
+    if (tfdt && time === null) {
+      const tfdtBody = tfdt.start + tfdt.headerSize;
+      const decodeTime = data[tfdtBody] === 1
+        ? view.getUint32(tfdtBody + 4) * 4294967296 + view.getUint32(tfdtBody + 8)
+        : view.getUint32(tfdtBody + 4);
+      time = decodeTime / tracks[id - 1].timescale;
+    }
+  }
+
+  return { data, time, mfhdOffset: mfhd.start + mfhd.headerSize + 4 };
+}
+
+// ── TS → fMP4 remuxing ──────────────────────────────────────────────────────
+
+/**
+ * Incremental MPEG-TS to fragmented MP4 remuxer.
+ *
+ *   const remuxer = new TSRemuxer();
+ *   for (const segment of segments) parts.push(...remuxer.push(segment));
+ *   parts.push(...remuxer.flush());
+ *
+ * push() returns the init segment (once codec configuration and the first
+ * samples to keep are known) followed by one fragment per pushed segment.
+ * The last video sample of each push is held back until the next one so its
+ * duration is exact.
+ *
+ * Demuxed HLS (video and audio in separate playlists) is merged by creating
+ * the remuxer with several sources and pushing each playlist's segments with
+ * its source index; all share the 90 kHz clock, so they stay in sync. The
+ * video track is taken from the first source that has one. Every other
+ * source with audio becomes an audio track; the video source's own audio is
+ * used only when no other source has any.
+ *
+ * `audio` overrides that choice: one entry per source, either null (no audio
+ * track from this source) or { language, name } describing its rendition.
+ * Several audio tracks are written as alternates of one another, with the
+ * first enabled by default.
+ *
+ * `trim` ({ start, end } in seconds from the first timestamp pushed, `end`
+ * null for no end) keeps only that part of the stream: video from the
+ * keyframe at or before `start`, since what precedes it cannot be decoded
+ * without the frames before, and audio from the same moment, both up to
+ * `end`.
+ *
+ * `audioOnly` leaves the video out, for an M4A of the audio alone.
+ */
+export class TSRemuxer {
+  constructor({ sources = 1, audio = null, trim = null, audioOnly = false } = {}) {
+    this.sources = Array.from({ length: sources }, (_, i) => ({
+      demuxer: new TSDemuxer(),
+      pushCount: 0,
+      timeOffset: 0,
+      expectedDts: null,
+      pendingVideo: [],
+      pendingAudio: [],
+      audioInfo: audio ? audio[i] || null : null,
+      audioTrack: null,
+      audioNextTime: null,
+      trimHeld: null, // video from the last keyframe before the trim start
+      trimStarted: false,
+    }));
+    this.muxer = null;
+    this.videoTrack = null;
+    this.audioTracks = [];
+
+    this._audioChosen = !!audio;
+    this._videoSource = null;
+    this._audioSources = [];
+    this._seenKeyframe = false;
+    this._baseTime = null; // decode time the file starts at
+    this._presentationStart = null;
+    this._lastVideoDuration = 3000;
+    this._trim = trim;
+    this._audioOnly = audioOnly;
+    this._trimBase = null;
+    this._trimCut = null; // pts of the keyframe the trimmed video starts at
+  }
+
+  get hasVideo() { return !!this.videoTrack; }
+  get hasAudio() { return this.audioTracks.length > 0; }
+
+  push(data, source = 0) {
+    const src = this.sources[source];
+    src.demuxer.push(data);
+    src.pushCount++;
+    let { video, audio } = src.demuxer.takeSamples();
+    this._correctDiscontinuity(src, video, audio);
+    if (this._audioOnly) video = [];
+    if (this._trim) ({ video, audio } = this._trimSamples(src, video, audio));
+
+    if (!this.muxer || src === this._videoSource) {
+      for (const s of video) {
+        if (!this._seenKeyframe && !s.key) continue; // undecodable without a preceding IDR
+        this._seenKeyframe = true;
+        src.pendingVideo.push(s);
+      }
+    }
+    if (!this.muxer || this._audioSources.includes(src)) {
+      for (const s of audio) src.pendingAudio.push(s);
+    }
+
+    return this._emit(false);
+  }
+
+  flush() {
+    return this._emit(true);
+  }
+
+  /**
+   * Timestamps jump at #EXT-X-DISCONTINUITY boundaries (ad breaks, spliced
+   * recordings). Shift everything after a jump so the timeline stays
+   * continuous.
+   */
+  _correctDiscontinuity(src, video, audio) {
+    const primary = src.demuxer.video ? video : audio;
+    if (primary.length === 0) return;
+
+    if (src.expectedDts !== null) {
+      const first = primary[0].dts + src.timeOffset;
+      const drift = first - src.expectedDts;
+      if (drift < -MPEG_TIMESCALE / 2 || drift > MPEG_TIMESCALE * 10) {
+        src.timeOffset += src.expectedDts - first;
+      }
+    }
+
+    if (src.timeOffset !== 0) {
+      for (const s of video) { s.dts += src.timeOffset; s.pts += src.timeOffset; }
+      for (const s of audio) { s.dts += src.timeOffset; s.pts += src.timeOffset; }
+    }
+
+    const last = primary[primary.length - 1];
+    const step = primary === video
+      ? (primary.length > 1 ? (last.dts - primary[0].dts) / (primary.length - 1) : this._lastVideoDuration)
+      : (AAC_FRAME_SAMPLES * MPEG_TIMESCALE) / (src.demuxer.audio.sampleRate || 48000);
+    src.expectedDts = last.dts + step;
+  }
+
+  /**
+   * The samples of one push that fall within the trim.  Until the video
+   * reaches the trim start, the group of pictures it falls in is held back.
+   */
+  _trimSamples(src, video, audio) {
+    if (this._trimBase === null) {
+      const first = video.length ? video[0].dts : audio[0]?.pts;
+      if (first === undefined) return { video, audio };
+      this._trimBase = first;
+    }
+    const start = this._trimBase + this._trim.start * MPEG_TIMESCALE;
+    const end = this._trim.end == null ? Infinity : this._trimBase + this._trim.end * MPEG_TIMESCALE;
+
+    const keptVideo = [];
+    for (const s of video) {
+      if (s.dts >= end) break;
+      if (src.trimStarted) {
+        keptVideo.push(s);
+        continue;
+      }
+      if (s.key && (s.pts <= start || !src.trimHeld)) src.trimHeld = [];
+      if (!src.trimHeld) continue; // undecodable without a preceding keyframe
+      src.trimHeld.push(s);
+      if (s.pts < start) continue;
+      keptVideo.push(...src.trimHeld);
+      src.trimHeld = null;
+      src.trimStarted = true;
+      if (this._trimCut === null) this._trimCut = keptVideo[0].pts;
+    }
+
+    const cut = this._trimCut ?? src.trimHeld?.[0].pts ?? start;
+    return { video: keptVideo, audio: audio.filter(s => s.pts >= cut && s.pts < end) };
+  }
+
+  _isConfigured(final) {
+    let configured = 0;
+    let waiting = false;
+    for (const src of this.sources) {
+      const { video, audio } = src.demuxer;
+      const videoReady = !this._audioOnly && isVideoReady(video);
+      const audioReady = isAudioReady(audio);
+      if (videoReady || audioReady) configured++;
+      const complete = (!video || videoReady || this._audioOnly) && (!audio || audioReady) && (videoReady || audioReady);
+      // A track listed in the PMT that never carries data should not block output forever
+      if (!complete && src.pushCount < 3) waiting = true;
+    }
+    return configured > 0 && (final || !waiting);
+  }
+
+  _createMuxer() {
+    this._videoSource = this._audioOnly ? null : this.sources.find(src => isVideoReady(src.demuxer.video)) || null;
+    const withAudio = this.sources.filter(src => isAudioReady(src.demuxer.audio));
+    if (this._audioChosen) {
+      this._audioSources = withAudio.filter(src => src.audioInfo);
+    } else {
+      const separate = withAudio.filter(src => src !== this._videoSource);
+      this._audioSources = separate.length > 0 ? separate : withAudio;
+    }
+    for (const src of this.sources) {
+      if (src !== this._videoSource) src.pendingVideo = [];
+      if (!this._audioSources.includes(src)) src.pendingAudio = [];
+    }
+
+    const tracks = [];
+    if (this._videoSource) {
+      this.videoTrack = { ...this._videoSource.demuxer.video, id: tracks.length + 1, type: 'video', timescale: MPEG_TIMESCALE };
+      tracks.push(this.videoTrack);
+    }
+    const alternates = this._audioSources.length > 1;
+    this._audioSources.forEach((src, i) => {
+      const audio = src.demuxer.audio;
+      src.audioTrack = {
+        ...audio,
+        ...src.audioInfo,
+        id: tracks.length + 1,
+        type: 'audio',
+        timescale: audio.sampleRate,
+        alternateGroup: alternates ? 1 : 0,
+        enabled: i === 0,
+      };
+      this.audioTracks.push(src.audioTrack);
+      tracks.push(src.audioTrack);
+    });
+
+    this.muxer = new FMP4Muxer(tracks);
+  }
+
+  /**
+   * Start the timeline at the samples waiting to be written, once there are
+   * some (and some video, unless `final`).  With B-frames the first picture
+   * is shown a while after it is decoded: the video track's edit list skips
+   * that delay and audio is placed from the first presentation time, so the
+   * file plays from 0 with the tracks in sync.
+   */
+  _startTimeline(final) {
+    const video = this._videoSource?.pendingVideo[0];
+    if (this._videoSource && !video && !final) return false;
+    const audio = this._audioSources.filter(src => src.pendingAudio.length).map(src => src.pendingAudio[0].pts);
+    if (!video && audio.length === 0) return false;
+
+    this._baseTime = Math.min(...audio, video ? video.dts : Infinity);
+    this._presentationStart = Math.min(...audio, video ? video.pts : Infinity);
+    if (this.videoTrack) this.videoTrack.mediaTime = Math.round(this._presentationStart - this._baseTime);
+    return true;
+  }
+
+  _emit(final) {
+    const out = [];
+    if (!this.muxer) {
+      if (!this._isConfigured(final)) {
+        if (final) throw new Error(this._audioOnly ? 'No AAC stream found in MPEG-TS data' : 'No H.264, H.265 or AAC stream found in MPEG-TS data');
+        return out;
+      }
+      this._createMuxer();
+    }
+    // The init segment carries the edit list, so it waits for the timeline
+    if (this._baseTime === null) {
+      const started = this._startTimeline(final);
+      if (started || final) out.push(this.muxer.initSegment());
+      if (!started) return out;
+    }
+
+    const parts = [];
+    const videoPart = this._takeVideo(final);
+    if (videoPart) parts.push(videoPart);
+    for (const src of this._audioSources) {
+      const audioPart = this._takeAudio(src);
+      if (audioPart) parts.push(audioPart);
+    }
+
+    const fragment = this.muxer.fragment(parts);
+    if (fragment) out.push(fragment);
+    return out;
+  }
+
+  _takeVideo(final) {
+    if (!this.videoTrack) return null;
+    const pending = this._videoSource.pendingVideo;
+    const count = final ? pending.length : pending.length - 1; // hold back the last sample
+    if (count <= 0) return null;
+
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      const s = pending[i];
+      let duration = i + 1 < pending.length ? pending[i + 1].dts - s.dts : this._lastVideoDuration;
+      if (duration <= 0) duration = this._lastVideoDuration;
+      else this._lastVideoDuration = duration;
+      samples.push({
+        duration: Math.round(duration),
+        data: s.data,
+        key: s.key,
+        cto: Math.max(0, Math.round(s.pts - s.dts)),
+      });
+    }
+
+    const baseTime = Math.max(0, Math.round(pending[0].dts - this._baseTime));
+    this._videoSource.pendingVideo = pending.slice(count);
+    return { track: this.videoTrack, baseTime, samples };
+  }
+
+  _takeAudio(src) {
+    if (src.pendingAudio.length === 0) return null;
+    const pending = src.pendingAudio;
+    src.pendingAudio = [];
+
+    const rate = src.audioTrack.sampleRate;
+    let baseTime = Math.max(0, Math.round((pending[0].pts - this._presentationStart) * rate / MPEG_TIMESCALE));
+    // Keep audio gapless across fragments unless the source really has a hole
+    if (src.audioNextTime !== null && Math.abs(baseTime - src.audioNextTime) < AAC_FRAME_SAMPLES * 2) {
+      baseTime = src.audioNextTime;
+    }
+    src.audioNextTime = baseTime + pending.length * AAC_FRAME_SAMPLES;
+
+    return {
+      track: src.audioTrack,
+      baseTime,
+      samples: pending.map(s => ({ duration: AAC_FRAME_SAMPLES, data: s.data, key: true })),
+    };
+  }
+}
+
+function isVideoReady(video) {
+  return !!(video && video.sps && video.pps && video.width);
+}
+
+function isAudioReady(audio) {
+  return !!(audio && audio.sampleRate);
+}
@@ -0,0 +1,561 @@
+/**
+ * VideoMancer - MPEG-TS Demuxer
+ * Splits MPEG-2 transport stream segments (as served by HLS) into
+ * elementary-stream samples so they can be remuxed into MP4 in the browser.
+ *
+ * Supported streams: H.264 (0x1B), H.265 (0x24) and ADTS AAC (0x0F).
+ * Anything else in the PMT (ID3 timed metadata, MP3, AC-3...) is skipped.
+ * All timestamps are kept on the 90 kHz MPEG clock and unwrapped past the
+ * 33-bit rollover.
+ */
+
+export const TS_PACKET_SIZE = 188;
+export const TS_SYNC_BYTE = 0x47;
+
+const STREAM_TYPES = {
+  0x1b: 'avc',
+  0x24: 'hevc',
+  0x0f: 'aac',
+};
+
+export const AAC_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350,
+];
+
+const PTS_WRAP = 8589934592; // 2^33
+const PTS_HALF_WRAP = 4294967296; // 2^32
+
+export class TSDemuxer {
+  constructor() {
+    this.pmtPid = -1;
+    this.videoPid = -1;
+    this.audioPid = -1;
+
+    // Track descriptions, filled in as codec configuration is discovered
+    // video: { codec, sps, pps, vps, width, height, hvcC fields }
+    // audio: { codec, sampleRate, channelCount, objectType, samplingIndex }
+    this.video = null;
+    this.audio = null;
+
+    // Samples demuxed since the last takeSamples() call
+    // video: { dts, pts, data, key }   audio: { dts, pts, data }
+    this.videoSamples = [];
+    this.audioSamples = [];
+
+    this._pes = new Map(); // Map<pid, Uint8Array[]>
+    this._lastTimestamp = null;
+    this._aacRemainder = null;
+    this._aacNextPts = null;
+  }
+
+  /**
+   * Demux one complete segment. The end of the buffer is treated as a PES
+   * boundary, which holds for HLS where every segment starts a new PES.
+   */
+  push(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (isPackedAudio(bytes)) {
+      this._pushPackedAudio(bytes);
+      return;
+    }
+
+    let offset = findSyncOffset(bytes);
+    if (offset < 0) throw new Error('Not an MPEG-TS stream (no 0x47 sync byte found)');
+
+    for (; offset + TS_PACKET_SIZE <= bytes.length; offset += TS_PACKET_SIZE) {
+      if (bytes[offset] !== TS_SYNC_BYTE) {
+        // Lost sync — skip ahead to the next packet boundary we can trust
+        const next = findSyncOffset(bytes.subarray(offset));
+        if (next < 0) break;
+        offset += next - TS_PACKET_SIZE;
+        continue;
+      }
+      this._parsePacket(bytes, offset);
+    }
+
+    for (const pid of this._pes.keys()) this._flushPes(pid);
+  }
+
+  /** Hand over the samples demuxed so far and start a fresh batch. */
+  takeSamples() {
+    const result = { video: this.videoSamples, audio: this.audioSamples };
+    this.videoSamples = [];
+    this.audioSamples = [];
+    return result;
+  }
+
+  /**
+   * Packed audio segments (.aac renditions of demuxed HLS) are raw ADTS
+   * prefixed with an ID3 tag whose PRIV frame carries the 90 kHz timestamp.
+   */
+  _pushPackedAudio(bytes) {
+    let offset = 0;
+    let pts = null;
+    while (offset + 10 <= bytes.length && bytes[offset] === 0x49 && bytes[offset + 1] === 0x44 && bytes[offset + 2] === 0x33) {
+      const size = syncSafeInt(bytes, offset + 6);
+      const footer = bytes[offset + 5] & 0x10 ? 10 : 0;
+      if (pts === null) pts = readId3Timestamp(bytes.subarray(offset + 10, offset + 10 + size), bytes[offset + 3]);
+      offset += 10 + size + footer;
+    }
+
+    if (!this.audio) this.audio = { codec: 'aac' };
+    this._aacRemainder = null; // every packed segment is self-contained
+    this._parseAAC(bytes.subarray(offset), pts !== null ? this._unwrap(pts) : (this._aacNextPts ?? 0));
+  }
+
+  // ── Packet layer ──────────────────────────────────────────────────────────
+
+  _parsePacket(bytes, offset) {
+    const payloadStart = (bytes[offset + 1] & 0x40) !== 0;
+    const pid = ((bytes[offset + 1] & 0x1f) << 8) | bytes[offset + 2];
+    const adaptation = (bytes[offset + 3] >> 4) & 0x03;
+
+    let start = offset + 4;
+    if (adaptation === 2) return; // adaptation field only, no payload
+    if (adaptation === 3) start += bytes[start] + 1;
+    const end = offset + TS_PACKET_SIZE;
+    if (start >= end) return;
+    const payload = bytes.subarray(start, end);
+
+    if (pid === 0) {
+      if (payloadStart) this._parsePAT(payload);
+    } else if (pid === this.pmtPid) {
+      if (payloadStart) this._parsePMT(payload);
+    } else if (pid === this.videoPid || pid === this.audioPid) {
+      if (payloadStart) this._flushPes(pid);
+      if (!this._pes.has(pid)) {
+        if (!payloadStart) return; // joined mid-PES
+        this._pes.set(pid, []);
+      }
+      this._pes.get(pid).push(payload);
+    }
+  }
+
+  _parsePAT(payload) {
+    const p = payload.subarray(payload[0] + 1); // skip pointer field
+    const sectionLength = ((p[1] & 0x0f) << 8) | p[2];
+    const end = Math.min(3 + sectionLength - 4, p.length);
+    for (let i = 8; i + 4 <= end; i += 4) {
+      const program = (p[i] << 8) | p[i + 1];
+      if (program !== 0) {
+        this.pmtPid = ((p[i + 2] & 0x1f) << 8) | p[i + 3];
+        return;
+      }
+    }
+  }
+
+  _parsePMT(payload) {
+    const p = payload.subarray(payload[0] + 1);
+    const sectionLength = ((p[1] & 0x0f) << 8) | p[2];
+    const programInfoLength = ((p[10] & 0x0f) << 8) | p[11];
+    const end = Math.min(3 + sectionLength - 4, p.length);
+
+    for (let i = 12 + programInfoLength; i + 5 <= end;) {
+      const codec = STREAM_TYPES[p[i]];
+      const pid = ((p[i + 1] & 0x1f) << 8) | p[i + 2];
+      const esInfoLength = ((p[i + 3] & 0x0f) << 8) | p[i + 4];
+
+      if ((codec === 'avc' || codec === 'hevc') && this.videoPid < 0) {
+        this.videoPid = pid;
+        this.video = { codec };
+      } else if (codec === 'aac' && this.audioPid < 0) {
+        this.audioPid = pid;
+        this.audio = { codec };
+      }
+      i += 5 + esInfoLength;
+    }
+  }
+
+  // ── PES layer ─────────────────────────────────────────────────────────────
+
+  _flushPes(pid) {
+    const parts = this._pes.get(pid);
+    this._pes.delete(pid);
+    if (!parts || parts.length === 0) return;
+
+    const data = concatBytes(parts);
+    if (data[0] !== 0 || data[1] !== 0 || data[2] !== 1) return;
+
+    const flags = data[7];
+    const headerLength = data[8];
+    let pts = null;
+    let dts = null;
+    if (flags & 0x80) pts = this._unwrap(readTimestamp(data, 9));
+    if (flags & 0x40) dts = this._unwrap(readTimestamp(data, 14));
+    if (dts === null) dts = pts;
+
+    const payload = data.subarray(9 + headerLength);
+    if (pid === this.videoPid) {
+      this._parseVideo(payload, pts, dts);
+    } else {
+      this._parseAAC(payload, pts);
+    }
+  }
+
+  _unwrap(ts) {
+    const ref = this._lastTimestamp;
+    if (ref !== null) {
+      while (ts - ref > PTS_HALF_WRAP) ts -= PTS_WRAP;
+      while (ref - ts > PTS_HALF_WRAP) ts += PTS_WRAP;
+    }
+    this._lastTimestamp = ts;
+    return ts;
+  }
+
+  // ── Video elementary stream ──────────────────────────────────────────────
+
+  _parseVideo(payload, pts, dts) {
+    const track = this.video;
+    const hevc = track.codec === 'hevc';
+    const units = [];
+    let key = false;
+
+    for (const nal of splitNalUnits(payload)) {
+      const type = hevc ? (nal[0] >> 1) & 0x3f : nal[0] & 0x1f;
+      if (hevc) {
+        if (type === 32) { track.vps = track.vps || nal; continue; }
+        if (type === 33) { if (!track.sps) Object.assign(track, parseHevcSps(nal), { sps: nal }); continue; }
+        if (type === 34) { track.pps = track.pps || nal; continue; }
+        if (type === 35 || type === 38) continue; // AUD, filler
+        if (type >= 16 && type <= 21) key = true;
+      } else {
+        if (type === 7) { if (!track.sps) Object.assign(track, parseAvcSps(nal), { sps: nal }); continue; }
+        if (type === 8) { track.pps = track.pps || nal; continue; }
+        if (type === 9 || type === 12) continue; // AUD, filler
+        if (type === 5) key = true;
+      }
+      units.push(nal);
+    }
+
+    if (units.length === 0) return;
+    if (pts === null) {
+      // Continuation of the previous access unit without its own timestamp
+      const prev = this.videoSamples[this.videoSamples.length - 1];
+      if (!prev) return;
+      prev.data = concatBytes([prev.data, lengthPrefix(units)]);
+      prev.key = prev.key || key;
+      return;
+    }
+
+    this.videoSamples.push({ pts, dts, key, data: lengthPrefix(units) });
+  }
+
+  // ── ADTS AAC ──────────────────────────────────────────────────────────────
+
+  _parseAAC(payload, pts) {
+    let data = payload;
+    let framePts = pts;
+    if (this._aacRemainder) {
+      data = concatBytes([this._aacRemainder, payload]);
+      framePts = this._aacNextPts ?? pts;
+      this._aacRemainder = null;
+    }
+    if (framePts === null) return;
+
+    let i = 0;
+    while (i + 7 <= data.length) {
+      if (data[i] !== 0xff || (data[i + 1] & 0xf6) !== 0xf0) { i++; continue; }
+
+      const protectionAbsent = data[i + 1] & 0x01;
+      const objectType = ((data[i + 2] >> 6) & 0x03) + 1;
+      const samplingIndex = (data[i + 2] >> 2) & 0x0f;
+      const channelConfig = ((data[i + 2] & 0x01) << 2) | (data[i + 3] >> 6);
+      const frameLength = ((data[i + 3] & 0x03) << 11) | (data[i + 4] << 3) | (data[i + 5] >> 5);
+      const headerLength = protectionAbsent ? 7 : 9;
+      const sampleRate = AAC_SAMPLE_RATES[samplingIndex];
+      if (!sampleRate || frameLength <= headerLength) { i++; continue; }
+
+      if (i + frameLength > data.length) break; // frame continues in the next PES
+
+      if (!this.audio.sampleRate) {
+        Object.assign(this.audio, {
+          objectType,
+          samplingIndex,
+          sampleRate,
+          channelCount: channelConfig || 2,
+          channelConfig,
+        });
+      }
+
+      this.audioSamples.push({
+        pts: framePts,
+        dts: framePts,
+        data: data.subarray(i + headerLength, i + frameLength),
+      });
+      framePts += (1024 * 90000) / this.audio.sampleRate;
+      i += frameLength;
+    }
+
+    this._aacNextPts = framePts;
+    if (i < data.length) this._aacRemainder = data.slice(i);
+  }
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Offset of the first packet whose successor also starts with 0x47, or -1. */
+export function findSyncOffset(bytes) {
+  const limit = Math.min(bytes.length, TS_PACKET_SIZE * 2);
+  for (let i = 0; i < limit; i++) {
+    if (bytes[i] !== TS_SYNC_BYTE) continue;
+    if (i + TS_PACKET_SIZE >= bytes.length || bytes[i + TS_PACKET_SIZE] === TS_SYNC_BYTE) return i;
+  }
+  return -1;
+}
+
+function isPackedAudio(bytes) {
+  if (bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) return true; // 'ID3'
+  return bytes[0] === 0xff && (bytes[1] & 0xf6) === 0xf0;
+}
+
+function syncSafeInt(d, i) {
+  return (d[i] & 0x7f) * 2097152 + (d[i + 1] & 0x7f) * 16384 + (d[i + 2] & 0x7f) * 128 + (d[i + 3] & 0x7f);
+}
+
+const ID3_TIMESTAMP_OWNER = 'com.apple.streaming.transportStreamTimestamp';
+
+/** Extract the MPEG-TS timestamp from an ID3 PRIV frame, or null. */
+function readId3Timestamp(tag, version) {
+  for (let i = 0; i + 10 <= tag.length;) {
+    const id = String.fromCharCode(tag[i], tag[i + 1], tag[i + 2], tag[i + 3]);
+    if (id === '\0\0\0\0') break;
+    const size = version >= 4
+      ? syncSafeInt(tag, i + 4)
+      : ((tag[i + 4] << 24) | (tag[i + 5] << 16) | (tag[i + 6] << 8) | tag[i + 7]) >>> 0;
+    const body = tag.subarray(i + 10, i + 10 + size);
+    if (id === 'PRIV') {
+      const owner = String.fromCharCode(...body.subarray(0, ID3_TIMESTAMP_OWNER.length));
+      const d = body.subarray(ID3_TIMESTAMP_OWNER.length + 1);
+      if (owner === ID3_TIMESTAMP_OWNER && d.length >= 8) {
+        return (d[3] & 0x01) * 4294967296 + (((d[4] << 24) | (d[5] << 16) | (d[6] << 8) | d[7]) >>> 0);
+      }
+    }
+    i += 10 + size;
+  }
+  return null;
+}
+
+function readTimestamp(d, i) {
+  return ((d[i] & 0x0e) >> 1) * 1073741824 // bits 32..30
+    + d[i + 1] * 4194304
+    + (d[i + 2] >> 1) * 32768
+    + d[i + 3] * 128
+    + (d[i + 4] >> 1);
+}
+
+export function concatBytes(parts) {
+  if (parts.length === 1) return parts[0];
+  let length = 0;
+  for (const p of parts) length += p.length;
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const p of parts) { out.set(p, offset); offset += p.length; }
+  return out;
+}
+
+/** Split an Annex B byte stream into NAL units (without start codes). */
+function splitNalUnits(data) {
+  const units = [];
+  let start = -1;
+  let i = 0;
+  while (i + 2 < data.length) {
+    if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+      if (start >= 0) units.push(trimTrailingZeros(data.subarray(start, i)));
+      i += 3;
+      start = i;
+    } else {
+      i++;
+    }
+  }
+  if (start >= 0 && start < data.length) units.push(trimTrailingZeros(data.subarray(start)));
+  return units.filter(u => u.length > 0);
+}
+
+function trimTrailingZeros(nal) {
+  let end = nal.length;
+  while (end > 0 && nal[end - 1] === 0) end--;
+  return nal.subarray(0, end);
+}
+
+/** Convert NAL units to the 4-byte length-prefixed form MP4 samples use. */
+function lengthPrefix(units) {
+  let size = 0;
+  for (const u of units) size += 4 + u.length;
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  for (const u of units) {
+    view.setUint32(offset, u.length);
+    out.set(u, offset + 4);
+    offset += 4 + u.length;
+  }
+  return out;
+}
+
+// ── Parameter set parsing ───────────────────────────────────────────────────
+
+/** Exp-Golomb bit reader over an RBSP (emulation prevention bytes removed). */
+class BitReader {
+  constructor(nal) {
+    const rbsp = [];
+    for (let i = 0; i < nal.length; i++) {
+      if (i >= 2 && nal[i] === 3 && nal[i - 1] === 0 && nal[i - 2] === 0) continue;
+      rbsp.push(nal[i]);
+    }
+    this.data = rbsp;
+    this.pos = 0;
+  }
+
+  bit() {
+    const byte = this.data[this.pos >> 3] ?? 0;
+    const bit = (byte >> (7 - (this.pos & 7))) & 1;
+    this.pos++;
+    return bit;
+  }
+
+  bits(n) {
+    let v = 0;
+    for (let i = 0; i < n; i++) v = v * 2 + this.bit();
+    return v;
+  }
+
+  skip(n) { this.pos += n; }
+
+  ue() {
+    let zeros = 0;
+    while (this.bit() === 0 && zeros < 32) zeros++;
+    return (2 ** zeros) - 1 + this.bits(zeros);
+  }
+
+  se() {
+    const v = this.ue();
+    return v & 1 ? (v + 1) / 2 : -v / 2;
+  }
+}
+
+function skipScalingList(r, size) {
+  let last = 8;
+  let next = 8;
+  for (let i = 0; i < size; i++) {
+    if (next !== 0) next = (last + r.se() + 256) % 256;
+    last = next === 0 ? last : next;
+  }
+}
+
+function parseAvcSps(nal) {
+  const r = new BitReader(nal);
+  r.skip(8); // NAL header
+  const profileIdc = r.bits(8);
+  r.skip(16); // constraint flags + level_idc
+  r.ue(); // seq_parameter_set_id
+
+  let chromaFormatIdc = 1;
+  if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profileIdc)) {
+    chromaFormatIdc = r.ue();
+    if (chromaFormatIdc === 3) r.skip(1);
+    r.ue(); // bit_depth_luma_minus8
+    r.ue(); // bit_depth_chroma_minus8
+    r.skip(1);
+    if (r.bit()) {
+      for (let i = 0; i < (chromaFormatIdc !== 3 ? 8 : 12); i++) {
+        if (r.bit()) skipScalingList(r, i < 6 ? 16 : 64);
+      }
+    }
+  }
+
+  r.ue(); // log2_max_frame_num_minus4
+  const pocType = r.ue();
+  if (pocType === 0) {
+    r.ue();
+  } else if (pocType === 1) {
+    r.skip(1);
+    r.se();
+    r.se();
+    const n = r.ue();
+    for (let i = 0; i < n; i++) r.se();
+  }
+  r.ue(); // max_num_ref_frames
+  r.skip(1);
+  const widthInMbs = r.ue() + 1;
+  const heightInMapUnits = r.ue() + 1;
+  const frameMbsOnly = r.bit();
+  if (!frameMbsOnly) r.skip(1);
+  r.skip(1); // direct_8x8_inference_flag
+
+  let cropLeft = 0, cropRight = 0, cropTop = 0, cropBottom = 0;
+  if (r.bit()) {
+    cropLeft = r.ue();
+    cropRight = r.ue();
+    cropTop = r.ue();
+    cropBottom = r.ue();
+  }
+
+  const cropUnitX = chromaFormatIdc === 0 || chromaFormatIdc === 3 ? 1 : 2;
+  const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+  return {
+    width: widthInMbs * 16 - cropUnitX * (cropLeft + cropRight),
+    height: (2 - frameMbsOnly) * heightInMapUnits * 16 - cropUnitY * (cropTop + cropBottom),
+  };
+}
+
+function parseHevcSps(nal) {
+  const r = new BitReader(nal);
+  r.skip(16); // NAL header
+  r.skip(4); // sps_video_parameter_set_id
+  const maxSubLayersMinus1 = r.bits(3);
+  const temporalIdNested = r.bit();
+
+  // profile_tier_level(1, maxSubLayersMinus1)
+  const profileSpace = r.bits(2);
+  const tierFlag = r.bit();
+  const profileIdc = r.bits(5);
+  const compatibilityFlags = r.bits(32);
+  const constraintFlags = [];
+  for (let i = 0; i < 6; i++) constraintFlags.push(r.bits(8));
+  const levelIdc = r.bits(8);
+
+  const subLayerProfile = [];
+  const subLayerLevel = [];
+  for (let i = 0; i < maxSubLayersMinus1; i++) {
+    subLayerProfile.push(r.bit());
+    subLayerLevel.push(r.bit());
+  }
+  if (maxSubLayersMinus1 > 0) r.skip(2 * (8 - maxSubLayersMinus1));
+  for (let i = 0; i < maxSubLayersMinus1; i++) {
+    if (subLayerProfile[i]) r.skip(88);
+    if (subLayerLevel[i]) r.skip(8);
+  }
+
+  r.ue(); // sps_seq_parameter_set_id
+  const chromaFormatIdc = r.ue();
+  if (chromaFormatIdc === 3) r.skip(1);
+  let width = r.ue();
+  let height = r.ue();
+  if (r.bit()) {
+    const subWidth = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+    const subHeight = chromaFormatIdc === 1 ? 2 : 1;
+    const left = r.ue(), right = r.ue(), top = r.ue(), bottom = r.ue();
+    width -= subWidth * (left + right);
+    height -= subHeight * (top + bottom);
+  }
+  const bitDepthLuma = r.ue() + 8;
+  const bitDepthChroma = r.ue() + 8;
+
+  return {
+    width,
+    height,
+    hevc: {
+      profileSpace,
+      tierFlag,
+      profileIdc,
+      compatibilityFlags,
+      constraintFlags,
+      levelIdc,
+      chromaFormatIdc,
+      bitDepthLuma,
+      bitDepthChroma,
+      numTemporalLayers: maxSubLayersMinus1 + 1,
+      temporalIdNested,
+    },
+  };
+}
@@ -0,0 +1,29 @@
+/**
+ * VideoMancer - Preferred Quality
+ * Picks the HLS variant or DASH representation that the "Preferred quality"
+ * setting asks for, so that a stream can be downloaded without a prompt.
+ */
+
+/**
+ * The quality closest to `preference`: 'highest', 'lowest' or a height such
+ * as '720p'.  `qualities` ({ height, bandwidth }) are sorted by bandwidth,
+ * highest first.  Of two heights equally far from the preferred one the
+ * lower is taken, and of qualities with the same height the one with the
+ * highest bandwidth.  Audio-only variants, which have no height, are only
+ * picked when nothing else is listed.  Null when `qualities` is empty.
+ */
+export function pickPreferredQuality(qualities, preference) {
+  const withHeight = qualities.filter(q => q.height > 0);
+  const candidates = withHeight.length > 0 ? withHeight : qualities;
+  if (candidates.length === 0) return null;
+  if (preference === 'lowest') return candidates[candidates.length - 1];
+
+  const target = parseInt(preference, 10);
+  if (!target || withHeight.length === 0) return candidates[0];
+  let best = candidates[0];
+  for (const q of candidates) {
+    const diff = Math.abs(q.height - target) - Math.abs(best.height - target);
+    if (diff < 0 || (diff === 0 && q.height < best.height)) best = q;
+  }
+  return best;
+}
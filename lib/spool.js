@@ -0,0 +1,192 @@
+/**
+ * VideoMancer - Disk Spool
+ * Temporary files in the origin private file system (OPFS), so that a
+ * download passes through memory one segment at a time however long the
+ * video is.
+ *
+ * Segments are appended to a SpoolFile as they arrive.  Once closed, the file
+ * is read back either chunk by chunk or as a byte source, { size, read() },
+ * for the muxers.  It is saved through a blob URL that Chrome reads from
+ * disk.  Files left over from an earlier document are deleted the first
+ * time the spool is used, and removeSpoolFiles() sweeps up after failed jobs.
+ *
+ * OPFS only commits what a writable stream wrote when the stream is closed,
+ * so a SpoolFile is a directory of parts, each written and closed in one go:
+ * every appended chunk is on disk once append() resolves.  A SpoolFile that
+ * belongs to a stored job (lib/jobstore.js) is reopened from its
+ * checkpoint() after the browser restarts.
+ */
+
+const SPOOL_DIRECTORY = 'spool';
+
+// Bytes buffered by write() before they are written out as a part
+const PART_SIZE = 8 * 1024 * 1024;
+
+// Bytes fetched from disk at once when a closed file is read
+const READ_AHEAD = 1024 * 1024;
+
+let directory = null;
+let nextId = 1;
+
+// Temporary SpoolFiles not removed yet
+const liveFiles = new Set();
+
+function spoolDirectory() {
+  if (!directory) {
+    directory = (async () => {
+      const root = await navigator.storage.getDirectory();
+      await root.removeEntry(SPOOL_DIRECTORY, { recursive: true }).catch(() => { /* nothing left over */ });
+      return root.getDirectoryHandle(SPOOL_DIRECTORY, { create: true });
+    })();
+  }
+  return directory;
+}
+
+export class SpoolFile {
+  /** A temporary file, removed by removeSpoolFiles() unless it is being saved. */
+  static async create() {
+    const file = await SpoolFile.open(await spoolDirectory(), `${Date.now()}-${nextId++}`);
+    liveFiles.add(file);
+    return file;
+  }
+
+  /**
+   * A file kept as directory `name` of `parent`.  With a `checkpoint`, the
+   * file continues from it and parts written after it are dropped.
+   */
+  static async open(parent, name, checkpoint = null) {
+    const dir = await parent.getDirectoryHandle(name, { create: true });
+    const file = new SpoolFile(parent, name, dir);
+    if (checkpoint) {
+      file.size = checkpoint.size;
+      file.chunks = checkpoint.chunks;
+      file._parts = checkpoint.parts;
+    }
+    const kept = new Set(file._parts.map(part => part.name));
+    for await (const entry of dir.keys()) {
+      if (!kept.has(entry)) await dir.removeEntry(entry);
+    }
+    return file;
+  }
+
+  constructor(parent, name, dir) {
+    this.size = 0;
+    this.chunks = []; // [{ offset, length, ...info }] for chunks written with append()
+    this._parent = parent;
+    this._name = name;
+    this._dir = dir;
+    this._parts = []; // [{ name, size }] on disk
+    this._pending = []; // written but not part of a part yet
+    this._pendingSize = 0;
+    this._closing = null; // Promise<Blob>
+    this._window = null; // { offset, bytes } read ahead of the last read
+  }
+
+  /** Write parts (Uint8Array, ArrayBuffer or Blob) at the end of the file. */
+  async write(...parts) {
+    for (const part of parts) {
+      const size = part.byteLength ?? part.size;
+      if (size === 0) continue;
+      this._pending.push(part);
+      this._pendingSize += size;
+      this.size += size;
+    }
+    if (this._pendingSize >= PART_SIZE) await this._flush();
+  }
+
+  /**
+   * Write one chunk and remember where it is, along with `info` (e.g.
+   * { duration }).  `data` may be a ReadableStream; if it fails part way
+   * the file is cut back to where the chunk began.
+   */
+  async append(data, info = {}) {
+    await this._flush();
+    const offset = this.size;
+    const partCount = this._parts.length;
+    try {
+      if (data instanceof ReadableStream) {
+        const reader = data.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          await this.write(value);
+        }
+      } else {
+        await this.write(data);
+      }
+      await this._flush();
+    } catch (err) {
+      for (const part of this._parts.splice(partCount)) {
+        await this._dir.removeEntry(part.name).catch(() => { /* never written */ });
+      }
+      this._pending = [];
+      this._pendingSize = 0;
+      this.size = offset;
+      throw err;
+    }
+    this.chunks.push({ offset, length: this.size - offset, ...info });
+  }
+
+  /** What open() needs to continue the file after the chunks appended so far. */
+  checkpoint() {
+    return { size: this.size, chunks: [...this.chunks], parts: [...this._parts] };
+  }
+
+  /** Finish writing.  Resolves to a Blob of the file on disk, which is not loaded into memory. */
+  close() {
+    if (!this._closing) {
+      this._closing = this._flush().then(async () => {
+        const files = [];
+        for (const part of this._parts) {
+          files.push(await (await this._dir.getFileHandle(part.name)).getFile());
+        }
+        return new Blob(files);
+      });
+    }
+    return this._closing;
+  }
+
+  /** A copy of bytes [offset, offset + length) of the file, which gets closed. */
+  async read(offset, length) {
+    const file = await this.close();
+    const end = Math.min(offset + length, this.size);
+    let window = this._window;
+    if (!window || offset < window.offset || end > window.offset + window.bytes.length) {
+      const windowEnd = Math.min(Math.max(end, offset + READ_AHEAD), this.size);
+      const buffer = await file.slice(offset, windowEnd).arrayBuffer();
+      window = this._window = { offset, bytes: new Uint8Array(buffer) };
+    }
+    return window.bytes.slice(offset - window.offset, end - window.offset);
+  }
+
+  /** The appended chunks of the file, in order: { data, ...info }. */
+  async *entries() {
+    for (const { offset, length, ...info } of this.chunks) {
+      yield { data: await this.read(offset, length), ...info };
+    }
+  }
+
+  async remove() {
+    liveFiles.delete(this);
+    this._window = null;
+    this._pending = [];
+    await this._parent.removeEntry(this._name, { recursive: true }).catch(() => { /* already gone */ });
+  }
+
+  // Write the pending data out as the next part
+  async _flush() {
+    if (this._pendingSize === 0) return;
+    const name = String(this._parts.length);
+    const writable = await (await this._dir.getFileHandle(name, { create: true })).createWritable();
+    await writable.write(new Blob(this._pending));
+    await writable.close();
+    this._parts.push({ name, size: this._pendingSize });
+    this._pending = [];
+    this._pendingSize = 0;
+  }
+}
+
+/** Remove every temporary SpoolFile except those in `keep`, e.g. ones still being saved. */
+export async function removeSpoolFiles(keep = new Set()) {
+  await Promise.all([...liveFiles].filter(file => !keep.has(file)).map(file => file.remove()));
+}
@@ -0,0 +1,160 @@
+/**
+ * VideoMancer - Segment Validation
+ * Checks that a segment is the media it claims to be before it is saved.
+ *
+ * CDNs answer an expired session with a login page, a JSON error or a body
+ * cut short, often with status 200, and a download that takes those for
+ * video only turns out to be corrupt once it is played.  Every segment is
+ * checked against its Content-Length and its container: MPEG-TS packets,
+ * MP4 boxes, or at least not text for WebM.  A segment that fails is thrown
+ * as an error with an `invalid` reason, which withRetries() retries.
+ */
+
+// TS packets are 188 bytes, each starting with this sync byte
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+// Packets whose sync byte is checked
+const TS_CHECKED_PACKETS = 3;
+
+// Bytes looked at to tell a text response from media
+const SNIFF_LENGTH = 512;
+
+function invalidSegment(reason, message) {
+  const err = new Error(message);
+  err.invalid = reason;
+  return err;
+}
+
+/**
+ * Throw if a response body of `byteLength` bytes is shorter or longer than
+ * its Content-Length.  Compressed responses are decoded by fetch(), so their
+ * length cannot be compared.
+ */
+export function checkContentLength(resp, byteLength) {
+  const expected = contentLength(resp);
+  if (expected !== null && byteLength !== expected) {
+    throw invalidSegment('truncated', `Segment truncated (${byteLength} of ${expected} bytes)`);
+  }
+}
+
+function contentLength(resp) {
+  const header = resp.headers.get('Content-Length');
+  if (!header || resp.headers.get('Content-Encoding') || !/^\d+$/.test(header.trim())) return null;
+  return parseInt(header, 10);
+}
+
+/**
+ * The body of `resp` as a stream that errors when it turns out to be text
+ * or a different length than its Content-Length, for files too large to be
+ * checked in memory.
+ */
+export function checkedBody(resp) {
+  const expected = contentLength(resp);
+  let received = 0;
+  return resp.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      if (received === 0) rejectText(chunk);
+      received += chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+    flush() {
+      if (expected !== null && received !== expected) {
+        throw invalidSegment('truncated', `Download truncated (${received} of ${expected} bytes)`);
+      }
+    },
+  }));
+}
+
+/**
+ * Throw unless `data` (ArrayBuffer or Uint8Array) looks like a segment of
+ * `container`: 'ts', 'mp4' or 'webm'.  Returns `data`.
+ */
+export function validateSegment(data, container) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (bytes.length === 0) throw invalidSegment('truncated', 'Segment is empty');
+  rejectText(bytes);
+  if (container === 'ts') checkTS(bytes);
+  else if (container === 'mp4') checkMP4(bytes);
+  return data;
+}
+
+/**
+ * Throw if `bytes` start like a web page, a JSON document or other text.
+ * Every byte of the first SNIFF_LENGTH must be text, which media and
+ * ciphertext never are, so encrypted segments can be checked too.
+ */
+export function rejectText(bytes) {
+  const head = bytes.subarray(0, SNIFF_LENGTH);
+  for (const byte of head) {
+    if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d) return;
+    if (byte === 0x7f) return;
+  }
+  const text = new TextDecoder().decode(head).trimStart();
+  if (text.startsWith('<')) {
+    throw invalidSegment('html', 'Got HTML instead of video — authentication may have expired');
+  }
+  if (text.startsWith('{') || text.startsWith('[')) {
+    throw invalidSegment('json', 'Got a JSON response instead of video — authentication may have expired');
+  }
+  throw invalidSegment('text', 'Got a text response instead of video');
+}
+
+/**
+ * A failed AES-128 decryption: the PKCS#7 padding of the last block did not
+ * check out, so the key, the IV or the ciphertext is wrong.
+ */
+export function decryptionFailed(sequence) {
+  return invalidSegment('decrypt', `Failed to decrypt segment ${sequence} — wrong key or IV`);
+}
+
+// A sync byte at the start of the first packets.  Some packagers leave a
+// short tail after the last whole packet, which the demuxer ignores, so the
+// length need not be a multiple of the packet size; a body cut short is
+// caught by checkContentLength().  HLS packed audio (ADTS or MP3 frames
+// behind an ID3 tag) is not TS and passes as it is.
+function checkTS(bytes) {
+  if (bytes[0] !== TS_SYNC_BYTE) {
+    if (isPackedAudio(bytes)) return;
+    throw invalidSegment('format', 'Not an MPEG-TS segment (no sync byte at offset 0)');
+  }
+  for (let i = 1; i < TS_CHECKED_PACKETS; i++) {
+    const offset = i * TS_PACKET_SIZE;
+    if (offset >= bytes.length) break;
+    if (bytes[offset] !== TS_SYNC_BYTE) {
+      throw invalidSegment('format', `Corrupt MPEG-TS segment (no sync byte at offset ${offset})`);
+    }
+  }
+}
+
+function isPackedAudio(bytes) {
+  const id3 = bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33; // 'ID3'
+  const frameSync = bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0;
+  return id3 || frameSync;
+}
+
+// Boxes with a four-character type that fill the data exactly
+function checkMP4(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  while (offset < bytes.length) {
+    if (bytes.length - offset < 8) {
+      throw invalidSegment('truncated', `MP4 segment truncated (${bytes.length - offset} bytes after the last box)`);
+    }
+    let size = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (!/^[\x20-\x7e]{4}$/.test(type)) {
+      throw invalidSegment('format', `Corrupt MP4 segment (no box at offset ${offset})`);
+    }
+    if (size === 1) {
+      if (bytes.length - offset < 16) throw invalidSegment('truncated', `MP4 segment truncated (box '${type}')`);
+      size = Number(view.getBigUint64(offset + 8));
+    } else if (size === 0) {
+      size = bytes.length - offset; // runs to the end
+    }
+    if (size < 8) throw invalidSegment('format', `Corrupt MP4 segment (box '${type}' of ${size} bytes)`);
+    if (offset + size > bytes.length) {
+      throw invalidSegment('truncated', `MP4 segment truncated (box '${type}' needs ${size} bytes, ${bytes.length - offset} left)`);
+    }
+    offset += size;
+  }
+}
@@ -0,0 +1,403 @@
+/**
+ * VideoMancer - WebM Muxer
+ * Merges separately downloaded WebM streams (a DASH VP9/AV1 video
+ * representation and its Opus/Vorbis audio) into one WebM file, without
+ * re-encoding.
+ *
+ * Each input is parsed into its track entries and clusters.  Tracks are
+ * renumbered 1..n, the block track numbers inside every cluster rewritten,
+ * and clusters interleaved by timecode.  A SeekHead and Cues (one per video
+ * cluster) are written so the result is seekable.
+ *
+ * Inputs are read twice, once to lay out the file and once to copy the
+ * clusters, so that only one cluster at a time is held in memory.
+ */
+
+import { concatBytes } from './mpegts.js';
+
+// Matroska element IDs (marker bits included)
+const ID = {
+  EBML: 0x1a45dfa3,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Seek: 0x4dbb,
+  SeekID: 0x53ab,
+  SeekPosition: 0x53ac,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+};
+
+// Top-level Segment children: they end a Cluster written with unknown size
+const LEVEL1_IDS = new Set([
+  ID.SeekHead, ID.Info, ID.Tracks, ID.Cluster, ID.Cues,
+  0x1043a770, // Chapters
+  0x1254c367, // Tags
+  0x1941a469, // Attachments
+]);
+
+const TRACK_TYPE_VIDEO = 1;
+const DEFAULT_TIMECODE_SCALE = 1000000; // 1 ms
+
+// ── EBML reading ─────────────────────────────────────────────────────────────
+
+/**
+ * Variable-length integer at bytes[pos]: { value, length }.  IDs keep their
+ * marker bit (`raw`); sizes of all 1s mean "unknown" (value -1).
+ */
+function readVint(bytes, pos, raw = false) {
+  const first = bytes[pos];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || pos + length > bytes.length) throw new Error('Invalid EBML variable-length integer');
+
+  let value = raw ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+    if (bytes[pos + i] !== 0xff) allOnes = false;
+  }
+  return { value: !raw && allOnes ? -1 : value, length };
+}
+
+/**
+ * The elements laid out in bytes[start, end): { id, start, dataStart, end }.
+ * A Segment of unknown size runs to the end of the data, any other element
+ * of unknown size (a live Cluster) until the next top-level element.
+ */
+function* iterateElements(bytes, start = 0, end = bytes.length) {
+  let pos = start;
+  while (pos < end) {
+    const id = readVint(bytes, pos, true);
+    const size = readVint(bytes, pos + id.length);
+    const dataStart = pos + id.length + size.length;
+    let elementEnd = dataStart + size.value;
+    if (size.value < 0) elementEnd = id.value === ID.Segment ? end : findLevel1(bytes, dataStart, end);
+    if (elementEnd > end) elementEnd = end;
+    yield { id: id.value, start: pos, dataStart, end: elementEnd };
+    pos = elementEnd;
+  }
+}
+
+function findLevel1(bytes, start, end) {
+  for (const child of iterateElements(bytes, start, end)) {
+    if (LEVEL1_IDS.has(child.id)) return child.start;
+  }
+  return end;
+}
+
+/**
+ * iterateElements() over a byte source, { size, read(offset, length) };
+ * only the element headers are read.
+ */
+async function* iterateSourceElements(source, start, end) {
+  let pos = start;
+  while (pos < end) {
+    const head = await source.read(pos, Math.min(12, end - pos));
+    const id = readVint(head, 0, true);
+    const size = readVint(head, id.length);
+    const dataStart = pos + id.length + size.length;
+    let elementEnd = dataStart + size.value;
+    if (size.value < 0) elementEnd = id.value === ID.Segment ? end : await findSourceLevel1(source, dataStart, end);
+    if (elementEnd > end) elementEnd = end;
+    yield { id: id.value, start: pos, dataStart, end: elementEnd };
+    pos = elementEnd;
+  }
+}
+
+async function findSourceLevel1(source, start, end) {
+  for await (const child of iterateSourceElements(source, start, end)) {
+    if (LEVEL1_IDS.has(child.id)) return child.start;
+  }
+  return end;
+}
+
+/**
+ * Read a located element into memory: its bytes, and the element with
+ * offsets into them.
+ */
+async function readElement(source, el) {
+  const bytes = await source.read(el.start, el.end - el.start);
+  return { bytes, local: { id: el.id, start: 0, dataStart: el.dataStart - el.start, end: bytes.length } };
+}
+
+function readUint(bytes, element) {
+  let value = 0;
+  for (let i = element.dataStart; i < element.end; i++) value = value * 256 + bytes[i];
+  return value;
+}
+
+function readFloat(bytes, element) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + element.dataStart, element.end - element.dataStart);
+  return view.byteLength === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+function findElement(bytes, parent, id) {
+  for (const child of iterateElements(bytes, parent.dataStart, parent.end)) {
+    if (child.id === id) return child;
+  }
+  return null;
+}
+
+// ── EBML writing ─────────────────────────────────────────────────────────────
+
+function encodeId(id) {
+  const out = [];
+  for (let n = id; n > 0; n = Math.floor(n / 256)) out.unshift(n % 256);
+  return Uint8Array.from(out);
+}
+
+function encodeSize(size, length = 8) {
+  const out = new Uint8Array(length);
+  let n = size;
+  for (let i = length - 1; i >= 0; i--) {
+    out[i] = n % 256;
+    n = Math.floor(n / 256);
+  }
+  out[0] |= 0x80 >> (length - 1);
+  return out;
+}
+
+function element(id, ...payload) {
+  const body = concatBytes(payload);
+  return concatBytes([encodeId(id), encodeSize(body.length), body]);
+}
+
+function uintElement(id, value, length = 0) {
+  const out = [];
+  for (let n = value; n > 0 || out.length === 0; n = Math.floor(n / 256)) out.unshift(n % 256);
+  while (out.length < length) out.unshift(0);
+  return element(id, Uint8Array.from(out));
+}
+
+function floatElement(id, value) {
+  const body = new Uint8Array(8);
+  new DataView(body.buffer).setFloat64(0, value);
+  return element(id, body);
+}
+
+function stringElement(id, value) {
+  return element(id, Uint8Array.from(value, c => c.charCodeAt(0)));
+}
+
+// ── Merging ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parse one WebM stream (init segment followed by its media segments) from a
+ * byte source into { header, timecodeScale, duration, tracks, clusters }.
+ * Clusters are read one at a time and described by { element, timecode,
+ * size, keyframe }, `size` being the length of their rewritten copy.
+ */
+async function parseWebM(source) {
+  let header = null;
+  let segment = null;
+  for await (const el of iterateSourceElements(source, 0, source.size)) {
+    if (el.id === ID.EBML) header = (await readElement(source, el)).bytes;
+    else if (el.id === ID.Segment) {
+      segment = el;
+      break;
+    }
+  }
+  if (!header || !segment) throw new Error('Not a WebM stream');
+
+  const result = { header, timecodeScale: DEFAULT_TIMECODE_SCALE, duration: null, tracks: [], clusters: [] };
+  // Media segments appended after a sized Segment still belong to it
+  for await (const found of iterateSourceElements(source, segment.dataStart, source.size)) {
+    if (found.id !== ID.Info && found.id !== ID.Tracks && found.id !== ID.Cluster) continue;
+    const { bytes, local: el } = await readElement(source, found);
+    if (el.id === ID.Info) {
+      const scale = findElement(bytes, el, ID.TimecodeScale);
+      const duration = findElement(bytes, el, ID.Duration);
+      if (scale) result.timecodeScale = readUint(bytes, scale);
+      if (duration) result.duration = readFloat(bytes, duration);
+    } else if (el.id === ID.Tracks) {
+      for (const entry of iterateElements(bytes, el.dataStart, el.end)) {
+        if (entry.id !== ID.TrackEntry) continue;
+        const number = findElement(bytes, entry, ID.TrackNumber);
+        const type = findElement(bytes, entry, ID.TrackType);
+        result.tracks.push({
+          number: number ? readUint(bytes, number) : 1,
+          type: type ? readUint(bytes, type) : 0,
+          children: [...iterateElements(bytes, entry.dataStart, entry.end)]
+            .filter(child => child.id !== ID.TrackNumber && child.id !== ID.TrackUID)
+            .map(child => bytes.slice(child.start, child.end)),
+        });
+      }
+    } else {
+      const { timecode, blocks } = parseCluster(bytes, el);
+      result.clusters.push({
+        element: found,
+        timecode,
+        size: clusterElement(timecode, blocks).length,
+        keyframe: blocks.length > 0 && isKeyframe(blocks[0]),
+      });
+    }
+  }
+  return result;
+}
+
+function parseCluster(bytes, el) {
+  const timecode = findElement(bytes, el, ID.Timecode);
+  return {
+    timecode: timecode ? readUint(bytes, timecode) : 0,
+    blocks: [...iterateElements(bytes, el.dataStart, el.end)]
+      .filter(child => child.id === ID.SimpleBlock || child.id === ID.BlockGroup)
+      .map(child => ({ id: child.id, bytes: bytes.subarray(child.start, child.end) })),
+  };
+}
+
+// Clusters are rewritten with just their Timecode and blocks
+function clusterElement(timecode, blocks) {
+  return element(ID.Cluster, uintElement(ID.Timecode, timecode), ...blocks.map(b => b.bytes));
+}
+
+/**
+ * The Block data of a SimpleBlock or BlockGroup element: track number,
+ * relative timecode, flags, frames.
+ */
+function blockPayload(block) {
+  const bytes = block.bytes;
+  const id = readVint(bytes, 0, true);
+  const dataStart = id.length + readVint(bytes, id.length).length;
+  if (block.id === ID.SimpleBlock) return bytes.subarray(dataStart);
+  const inner = findElement(bytes, { dataStart, end: bytes.length }, ID.Block);
+  return inner ? bytes.subarray(inner.dataStart, inner.end) : null;
+}
+
+/**
+ * Rewrite the track number of a block (in place), keeping its encoded length.
+ */
+function renumberBlock(block, numbers) {
+  const payload = blockPayload(block);
+  if (!payload) return;
+  const track = readVint(payload, 0);
+  const number = numbers.get(track.value);
+  if (number == null) throw new Error(`Block for unknown track ${track.value}`);
+  payload.set(encodeSize(number, track.length));
+}
+
+function isKeyframe(block) {
+  if (block.id !== ID.SimpleBlock) return false;
+  const payload = blockPayload(block);
+  return (payload[readVint(payload, 0).length + 2] & 0x80) !== 0;
+}
+
+/**
+ * Merge WebM streams, each a byte source { size, read(offset, length) }
+ * holding an init segment followed by media segments, into one WebM.
+ * Yields the parts of the merged file.  Throws when an input is not WebM or
+ * the inputs use different timecode scales.
+ */
+export async function* mergeWebM(inputs) {
+  const streams = [];
+  for (const source of inputs) streams.push({ source, ...await parseWebM(source) });
+  const timecodeScale = streams[0].timecodeScale;
+  if (streams.some(stream => stream.timecodeScale !== timecodeScale)) {
+    throw new Error('WebM inputs use different timecode scales');
+  }
+
+  // ── Tracks, renumbered 1..n ──────────────────────────────────────────────
+  const trackEntries = [];
+  for (const stream of streams) {
+    stream.numbers = new Map();
+    for (const track of stream.tracks) {
+      const number = trackEntries.length + 1;
+      stream.numbers.set(track.number, number);
+      trackEntries.push(element(ID.TrackEntry,
+        uintElement(ID.TrackNumber, number),
+        uintElement(ID.TrackUID, number),
+        ...track.children));
+    }
+  }
+
+  // ── Clusters, interleaved by timecode ────────────────────────────────────
+  const clusters = [];
+  const next = streams.map(() => 0);
+  for (;;) {
+    let pick = -1;
+    for (let i = 0; i < streams.length; i++) {
+      if (next[i] < streams[i].clusters.length
+        && (pick < 0 || streams[i].clusters[next[i]].timecode < streams[pick].clusters[next[pick]].timecode)) pick = i;
+    }
+    if (pick < 0) break;
+    const stream = streams[pick];
+    const cluster = stream.clusters[next[pick]++];
+    // Cue the video clusters that start with a keyframe
+    const video = stream.tracks.find(t => t.type === TRACK_TYPE_VIDEO);
+    clusters.push({ stream, cluster, cue: video && cluster.keyframe ? stream.numbers.get(video.number) : 0 });
+  }
+
+  const durations = streams.map(stream => stream.duration).filter(d => d != null);
+  const lastTimecode = clusters.length > 0 ? Math.max(...clusters.map(c => c.cluster.timecode)) : 0;
+  const info = element(ID.Info,
+    uintElement(ID.TimecodeScale, timecodeScale),
+    floatElement(ID.Duration, durations.length > 0 ? Math.max(...durations) : lastTimecode),
+    stringElement(ID.MuxingApp, 'VideoMancer'),
+    stringElement(ID.WritingApp, 'VideoMancer'));
+  const tracks = element(ID.Tracks, ...trackEntries);
+
+  // ── Layout: SeekHead, Info, Tracks, Clusters, Cues ───────────────────────
+  // Positions are relative to the Segment data; SeekPosition is written with
+  // a fixed width so the SeekHead size does not depend on the values
+  const seekHead = (positions) => element(ID.SeekHead, ...positions.map(([id, position]) =>
+    element(ID.Seek, element(ID.SeekID, encodeId(id)), uintElement(ID.SeekPosition, position, 8))));
+  const seekHeadSize = seekHead([[ID.Info, 0], [ID.Tracks, 0], [ID.Cues, 0]]).length;
+
+  let position = seekHeadSize + info.length + tracks.length;
+  const cuePoints = [];
+  for (const { cluster, cue } of clusters) {
+    if (cue) {
+      cuePoints.push(element(ID.CuePoint,
+        uintElement(ID.CueTime, cluster.timecode),
+        element(ID.CueTrackPositions,
+          uintElement(ID.CueTrack, cue),
+          uintElement(ID.CueClusterPosition, position))));
+    }
+    position += cluster.size;
+  }
+  const cues = cuePoints.length > 0 ? element(ID.Cues, ...cuePoints) : new Uint8Array(0);
+
+  const seekEntries = [[ID.Info, seekHeadSize], [ID.Tracks, seekHeadSize + info.length]];
+  if (cues.length > 0) seekEntries.push([ID.Cues, position]);
+  let head = seekHead(seekEntries);
+  // Keep the reserved size when there are no Cues to point at
+  if (head.length < seekHeadSize) head = concatBytes([head, voidElement(seekHeadSize - head.length)]);
+
+  yield streams[0].header;
+  yield concatBytes([encodeId(ID.Segment), encodeSize(position + cues.length), head, info, tracks]);
+
+  // ── Second pass: copy the clusters ───────────────────────────────────────
+  for (const { stream, cluster } of clusters) {
+    const { bytes, local } = await readElement(stream.source, cluster.element);
+    const { timecode, blocks } = parseCluster(bytes, local);
+    blocks.forEach(block => renumberBlock(block, stream.numbers));
+    yield clusterElement(timecode, blocks);
+  }
+  if (cues.length > 0) yield cues;
+}
+
+function voidElement(size) {
+  // Void (0xEC) with a 1-byte size field; `size` is the total element length
+  const out = new Uint8Array(size);
+  out[0] = 0xec;
+  out[1] = 0x80 | (size - 2);
+  return out;
+}
@@ -0,0 +1,147 @@
+/**
+ * VideoMancer - WebVTT Stitcher
+ * Joins the segmented WebVTT files of an HLS subtitle rendition into one
+ * subtitle track, and formats it as WebVTT or SRT.
+ *
+ * Each HLS WebVTT segment may carry an X-TIMESTAMP-MAP header that pins a
+ * LOCAL cue time to an MPEGTS (90 kHz) presentation time.  Cue times are
+ * moved onto the MPEG clock and then re-based on the first segment, so the
+ * stitched track starts where the video does.  Cues repeated across segment
+ * boundaries are emitted once.
+ */
+
+const MPEG_CLOCK = 90000;
+const PTS_WRAP = 8589934592; // 2^33
+const PTS_HALF_WRAP = 4294967296; // 2^32
+
+const TIMING_RE = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/;
+
+/**
+ * Stitch WebVTT segment texts (in playlist order) into one cue list.
+ * Returns { header, cues: [{ start, end, settings, text }] } with times in
+ * seconds; `header` holds the STYLE/REGION blocks of the first segment.
+ */
+export function stitchWebVTT(segmentTexts) {
+  const cues = [];
+  const seen = new Set();
+  let header = [];
+  let origin = null;
+  let lastMpegts = null;
+
+  segmentTexts.forEach((text, index) => {
+    const parsed = parseWebVTT(text);
+    if (index === 0) header = parsed.blocks;
+
+    // Seconds to add to this segment's cue times to land on the MPEG clock;
+    // segments without a map are taken to be on the track timeline already
+    let shift = 0;
+    if (parsed.timestampMap) {
+      let mpegts = parsed.timestampMap.mpegts;
+      if (lastMpegts !== null) {
+        while (mpegts - lastMpegts > PTS_HALF_WRAP) mpegts -= PTS_WRAP;
+        while (lastMpegts - mpegts > PTS_HALF_WRAP) mpegts += PTS_WRAP;
+      }
+      lastMpegts = mpegts;
+      const offset = mpegts / MPEG_CLOCK - parsed.timestampMap.local;
+      if (origin === null) origin = offset;
+      shift = offset - origin;
+    }
+
+    for (const cue of parsed.cues) {
+      const start = cue.start + shift;
+      const end = cue.end + shift;
+      if (end <= 0) continue;
+      const key = `${Math.round(start * 1000)}|${Math.round(end * 1000)}|${cue.text}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      cues.push({ start: Math.max(start, 0), end, settings: cue.settings, text: cue.text });
+    }
+  });
+
+  cues.sort((a, b) => a.start - b.start || a.end - b.end);
+  return { header, cues };
+}
+
+/**
+ * Parse one WebVTT file into its cues, its X-TIMESTAMP-MAP (LOCAL in
+ * seconds, MPEGTS in 90 kHz ticks) and its STYLE/REGION blocks.
+ */
+export function parseWebVTT(text) {
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const result = { timestampMap: null, blocks: [], cues: [] };
+
+  const headerLines = blocks.shift().split('\n');
+  for (const line of headerLines) {
+    if (!line.startsWith('X-TIMESTAMP-MAP=')) continue;
+    const local = line.match(/LOCAL:((?:\d+:)?\d{2}:\d{2}\.\d{3})/);
+    const mpegts = line.match(/MPEGTS:(\d+)/);
+    result.timestampMap = {
+      local: local ? parseTimestamp(local[1]) : 0,
+      mpegts: mpegts ? parseInt(mpegts[1], 10) : 0,
+    };
+  }
+
+  for (const block of blocks) {
+    if (block.trim() === '') continue;
+    const lines = block.replace(/^\n+|\n+$/g, '').split('\n');
+    if (/^(STYLE|REGION)\b/.test(lines[0])) {
+      result.blocks.push(lines.join('\n'));
+      continue;
+    }
+    if (/^NOTE\b/.test(lines[0])) continue;
+
+    // An optional cue identifier precedes the timing line
+    const timingIndex = TIMING_RE.test(lines[0]) ? 0 : 1;
+    const timing = TIMING_RE.exec(lines[timingIndex] || '');
+    if (!timing) continue;
+    result.cues.push({
+      start: parseTimestamp(timing[1]),
+      end: parseTimestamp(timing[2]),
+      settings: timing[3].trim(),
+      text: lines.slice(timingIndex + 1).join('\n'),
+    });
+  }
+
+  return result;
+}
+
+export function formatWebVTT({ header, cues }) {
+  const blocks = ['WEBVTT', ...header];
+  for (const cue of cues) {
+    const timing = `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`;
+    blocks.push(`${cue.settings ? `${timing} ${cue.settings}` : timing}\n${cue.text}`);
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * SRT keeps only <b>, <i> and <u>; other WebVTT tags (voice, class, ruby,
+ * karaoke timestamps) are dropped and entities decoded.
+ */
+export function formatSRT({ cues }) {
+  return cues.map((cue, i) => {
+    const text = cue.text
+      .replace(/<(?!\/?[biu]>)[^>]*>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, '\u00A0')
+      .replace(/&lrm;/g, '\u200E')
+      .replace(/&rlm;/g, '\u200F')
+      .replace(/&amp;/g, '&');
+    return `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${text}\n`;
+  }).join('\n');
+}
+
+function parseTimestamp(str) {
+  const parts = str.split(':').map(parseFloat);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function formatTimestamp(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
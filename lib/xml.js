@@ -0,0 +1,161 @@
+/**
+ * VideoMancer - XML Parser
+ * A small non-validating XML parser for DASH manifests.  DOMParser does not
+ * exist in an MV3 service worker, so the background parses MPDs with this.
+ *
+ * The result mimics the subset of the DOM the MPD code uses: elements have
+ * `localName`, `prefix`, `namespaceURI`, `children`, `parentNode`,
+ * `getAttribute()`, `hasAttribute()` and `textContent`.  Namespace prefixes
+ * are resolved, so `<mpd:Period>` and a default-namespace `<Period>` both
+ * have the localName "Period".  DOCTYPEs, comments and processing
+ * instructions are skipped; CDATA and character references are decoded.
+ */
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+const NAMED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+class XMLElement {
+  constructor(name, attributes, parentNode, namespaces) {
+    const colon = name.indexOf(':');
+    this.nodeName = name;
+    this.prefix = colon >= 0 ? name.slice(0, colon) : null;
+    this.localName = colon >= 0 ? name.slice(colon + 1) : name;
+    this.namespaceURI = namespaces.get(this.prefix ?? '') ?? null;
+    this.attributes = attributes;
+    this.parentNode = parentNode;
+    this.children = [];
+    this.childNodes = []; // elements and text, in document order
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => (typeof node === 'string' ? node : node.textContent)).join('');
+  }
+}
+
+/**
+ * Parse an XML document: { documentElement }.  Throws on malformed markup.
+ */
+export function parseXML(text) {
+  const root = { children: [], childNodes: [] };
+  let parent = root;
+  let namespaces = new Map([['xml', XML_NAMESPACE]]);
+  const open = []; // [{ parent, namespaces }] to restore at each end tag
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid XML at offset ${pos}: ${message}`);
+  };
+  const skipPast = (marker) => {
+    const end = text.indexOf(marker, pos);
+    if (end < 0) fail(`unterminated ${marker}`);
+    const skipped = text.slice(pos, end);
+    pos = end + marker.length;
+    return skipped;
+  };
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+    const end = lt < 0 ? text.length : lt;
+    if (end > pos) {
+      if (parent !== root) parent.childNodes.push(decodeEntities(text.slice(pos, end)));
+      pos = end;
+      continue;
+    }
+
+    if (text.startsWith('<!--', pos)) {
+      pos += 4;
+      skipPast('-->');
+    } else if (text.startsWith('<![CDATA[', pos)) {
+      pos += 9;
+      const data = skipPast(']]>');
+      if (parent !== root) parent.childNodes.push(data);
+    } else if (text.startsWith('<?', pos)) {
+      skipPast('?>');
+    } else if (text.startsWith('<!', pos)) {
+      skipDoctype();
+    } else if (text.startsWith('</', pos)) {
+      pos += 2;
+      const name = skipPast('>').trim();
+      if (parent === root || name !== parent.nodeName) fail(`unexpected </${name}>`);
+      ({ parent, namespaces } = open.pop());
+    } else {
+      openTag();
+    }
+  }
+
+  if (parent !== root) fail(`<${parent.nodeName}> is not closed`);
+  const documentElement = root.children[0];
+  if (!documentElement) fail('no root element');
+  return { documentElement };
+
+  function openTag() {
+    pos++;
+    const nameMatch = /^[^\s/>]+/.exec(text.slice(pos, pos + 256));
+    if (!nameMatch) fail('missing element name');
+    const name = nameMatch[0];
+    pos += name.length;
+
+    const attributes = new Map();
+    const scope = new Map(namespaces);
+    const attrRe = /\s*([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')|\s*(\/?>)/y;
+    let selfClosing = false;
+    for (;;) {
+      attrRe.lastIndex = pos;
+      const match = attrRe.exec(text);
+      if (!match) fail(`malformed tag <${name}>`);
+      pos = attrRe.lastIndex;
+      if (match[5]) {
+        selfClosing = match[5] === '/>';
+        break;
+      }
+      const value = decodeEntities(match[3] ?? match[4]);
+      attributes.set(match[1], value);
+      if (match[1] === 'xmlns') scope.set('', value);
+      else if (match[1].startsWith('xmlns:')) scope.set(match[1].slice(6), value);
+    }
+
+    const element = new XMLElement(name, attributes, parent === root ? null : parent, scope);
+    parent.children.push(element);
+    parent.childNodes.push(element);
+    if (!selfClosing) {
+      open.push({ parent, namespaces });
+      namespaces = scope;
+      parent = element;
+    }
+  }
+
+  // <!DOCTYPE ...> may hold an internal subset in [...]
+  function skipDoctype() {
+    let depth = 0;
+    for (; pos < text.length; pos++) {
+      const c = text[pos];
+      if (c === '[') depth++;
+      else if (c === ']') depth--;
+      else if (c === '>' && depth === 0) {
+        pos++;
+        return;
+      }
+    }
+    fail('unterminated <!DOCTYPE');
+  }
+}
+
+function decodeEntities(str) {
+  if (!str.includes('&')) return str;
+  return str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[ref] ?? match;
+  });
+}
@@ -0,0 +1,2033 @@
+/**
+ * VideoMancer - Offscreen Downloader
+ * Runs HLS/DASH downloads and live recordings for the service worker.
+ *
+ * Chrome stops an idle service worker after 30 seconds whatever it is
+ * awaiting, and URL.createObjectURL does not exist there, so long jobs run in
+ * this offscreen document instead: it fetches, decrypts and checks the
+ * segments (lib/validate.js), spools them to disk (lib/spool.js), muxes them
+ * and creates the blob that gets saved.  Progress is broadcast to
+ * the worker and the popup, and each job ends with a `jobFinished` message.
+ * The worker only wakes up to start jobs and downloads.  HLS downloads are
+ * stored as they progress, so that they can be resumed after a restart.
+ */
+
+import { TSRemuxer, mergeFragmentedMP4, parseSidx, readTrackTimescales, shiftFragmentTimes } from './lib/mp4.js';
+import { mergeWebM } from './lib/webm.js';
+import { stitchWebVTT, formatWebVTT, formatSRT } from './lib/webvtt.js';
+import { resolveUrl, parseM3U8Master, parseM3U8Segments, parseM3U8MediaInfo, mapKey } from './lib/hls.js';
+import {
+  parseMPDPeriods, mainPeriod, matchRepresentation, parseMPDPresentation,
+  expandSegmentTemplate, resolveDASHSegments,
+} from './lib/dash.js';
+import {
+  tabRequestHeaders, requestSignals, authenticatedFetch, responseError, withRetries,
+} from './lib/fetch.js';
+import { sanitizeFilename, formatFilename, filenameVariables } from './lib/filename.js';
+import { SpoolFile, removeSpoolFiles } from './lib/spool.js';
+import { StoredJob } from './lib/jobstore.js';
+import { clipSegments, formatClipTime } from './lib/clip.js';
+import { pickPreferredQuality } from './lib/quality.js';
+import { checkContentLength, checkedBody, validateSegment, rejectText, decryptionFailed } from './lib/validate.js';
+
+// Settings of the most recently started job, sent by the worker
+let settings = {};
+
+// ── Jobs ─────────────────────────────────────────────────────────────────────
+
+// Map<jobKey, { job, videoId, jobId, controller, stop }>, jobId being that of
+// a stored job and stop 'pause' or 'cancel' once the worker has aborted it
+const activeJobs = new Map();
+
+// Blob URLs handed to chrome.downloads that are still being written, and the
+// SpoolFile behind each (null for in-memory blobs)
+const blobUrls = new Map();
+
+const jobRunners = {
+  downloadVideo: ({ video, tabId, headers }, entry) => (
+    video.type === 'dash'
+      ? downloadDASH(video, tabId)
+      : runStoredJob(entry, () => StoredJob.create({ video, headers }), stored => downloadHLS(video, tabId, stored))
+  ),
+  // A stored HLS download, continued from its first missing segment
+  resumeDownload: ({ video, tabId, jobId }, entry) => (
+    runStoredJob(entry, () => StoredJob.load(jobId), stored => resumeHLS(video, tabId, stored))
+  ),
+  startRecording: ({ video, tabId }) => (
+    video.type === 'dash' ? recordDASH(video, tabId) : recordHLS(video, tabId)
+  ),
+  downloadSubtitles: ({ video, subtitle, tabId }) => downloadHLSSubtitles(video, subtitle, tabId),
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+  const handler = messageHandlers[message.action];
+  if (handler) sendResponse(handler(message));
+  return false;
+});
+
+const messageHandlers = {
+
+  // Start a job and answer at once; the result follows as jobFinished
+  startJob: (msg) => {
+    const { job, video, subtitle, tabId } = msg;
+    const key = subtitle ? `${job}:${video.id}:${subtitle.url}` : `${job}:${video.id}`;
+    if (activeJobs.has(key)) return { error: 'Already in progress' };
+
+    settings = msg.settings;
+    const entry = { job, videoId: video.id, jobId: msg.jobId || null, controller: new AbortController(), stop: null };
+    activeJobs.set(key, entry);
+
+    // The job makes its requests under its own key, with the tab's headers
+    if (msg.headers) tabRequestHeaders.set(key, msg.headers);
+    requestSignals.set(key, entry.controller.signal);
+
+    jobRunners[job]({ ...msg, tabId: key }, entry)
+      .catch(err => ({ error: err.message }))
+      .then((result) => {
+        activeJobs.delete(key);
+        tabRequestHeaders.delete(key);
+        requestSignals.delete(key);
+        if (entry.stop && !result.ok) {
+          result = entry.stop === 'pause'
+            ? { error: 'Download paused', paused: true }
+            : { error: 'Download cancelled', cancelled: true };
+        }
+        // Spooled segments of a failed job were never handed to chrome.downloads
+        if (activeJobs.size === 0) removeSpoolFiles(new Set(blobUrls.values()));
+        chrome.runtime.sendMessage({ action: 'jobFinished', job, videoId: video.id, jobId: entry.jobId, result })
+          .catch(() => { /* popup may not be open */ });
+        reportIfIdle();
+      });
+    return { started: true };
+  },
+
+  // Abort a download for the worker's queue.  A paused HLS download keeps
+  // its stored job, so that it can be resumed; a cancelled one loses it.
+  abortJob: (msg) => {
+    const entry = activeJobs.get(`${msg.job}:${msg.videoId}`);
+    if (!entry) return { error: 'Not running' };
+    entry.stop = msg.pause ? 'pause' : 'cancel';
+    entry.controller.abort(new DOMException(msg.pause ? 'Download paused' : 'Download cancelled', 'AbortError'));
+    return { ok: true };
+  },
+
+  // Stop a live recording; its job saves the file
+  stopRecording: (msg) => {
+    const recording = activeRecordings.get(msg.videoId);
+    if (!recording) return { error: 'Not recording' };
+    recording.stop();
+    return { ok: true };
+  },
+
+  // Recordings in progress, so a reopened popup can show them
+  getRecordings: () => {
+    return {
+      recordings: Array.from(activeRecordings.values()).map(r => ({
+        videoId: r.videoId,
+        elapsed: r.elapsed,
+        segments: r.segments,
+      })),
+    };
+  },
+
+  // A download of one of our blob URLs has completed or failed
+  releaseBlob: (msg) => {
+    releaseBlob(msg.url);
+    return { ok: true };
+  },
+
+  busy: () => {
+    return { busy: activeJobs.size > 0 || blobUrls.size > 0 };
+  },
+
+  // Stored jobs that are running, as opposed to paused
+  runningJobs: () => {
+    return { jobIds: Array.from(activeJobs.values(), entry => entry.jobId).filter(Boolean) };
+  },
+};
+
+// Let the worker close this document once nothing needs it
+function reportIfIdle() {
+  if (activeJobs.size > 0 || blobUrls.size > 0) return;
+  chrome.runtime.sendMessage({ action: 'offscreenIdle' }).catch(() => { /* worker restarting */ });
+}
+
+// ── Download Functions ───────────────────────────────────────────────────────
+
+/**
+ * Fetch a segment, or a byte range of one, with authentication.
+ * Servers that ignore the Range header get their full response sliced.
+ * A body cut short of its Content-Length is an error.
+ */
+async function fetchSegmentBytes(url, byteRange, tabId) {
+  const opts = byteRange
+    ? { headers: { Range: `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}` } }
+    : {};
+  const resp = await authenticatedFetch(url, tabId, opts);
+  if (!resp.ok) throw responseError(resp);
+  const data = await resp.arrayBuffer();
+  checkContentLength(resp, data.byteLength);
+  if (byteRange && resp.status === 200 && data.byteLength > byteRange.length) {
+    return data.slice(byteRange.offset, byteRange.offset + byteRange.length);
+  }
+  return data;
+}
+
+// Upper bound for a single coalesced Range request
+const MAX_COALESCED_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Group segments into HTTP requests. Consecutive byte-range segments that are
+ * adjacent in the same file share one Range request (up to
+ * MAX_COALESCED_BYTES); every other segment gets a request of its own.
+ *
+ * Returns Array<{ url, byteRange, members: Array<{ index, offset, length }> }>
+ * where member offsets are relative to the start of the request's range.
+ */
+function planSegmentRequests(segments) {
+  const requests = [];
+  let current = null;
+
+  segments.forEach((seg, index) => {
+    const range = seg.byteRange;
+    if (range && current && current.byteRange && current.url === seg.url
+      && current.byteRange.offset + current.byteRange.length === range.offset
+      && current.byteRange.length + range.length <= MAX_COALESCED_BYTES) {
+      current.members.push({ index, offset: current.byteRange.length, length: range.length });
+      current.byteRange.length += range.length;
+      return;
+    }
+
+    current = {
+      url: seg.url,
+      byteRange: range ? { ...range } : null,
+      members: [{ index, offset: 0, length: range ? range.length : null }],
+    };
+    requests.push(current);
+  });
+
+  return requests;
+}
+
+/**
+ * Create a fetcher for a playlist's segments: fetchSegment(index) resolves to
+ * that segment's bytes. Coalesced requests are issued once, with retries, and
+ * sliced for each member; the slices are released when the last member is
+ * taken.  `fetchBytes` replaces fetchSegmentBytes, e.g. to fail over between
+ * mirrors.  `prepare(data, index)` decrypts or validates each segment, and
+ * throwing from it retries the request like a failed fetch.
+ */
+function createSegmentFetcher(segments, tabId, { fetchBytes = fetchSegmentBytes, prepare = data => data } = {}) {
+  const requestFor = new Map();
+  for (const request of planSegmentRequests(segments)) {
+    request.remaining = request.members.length;
+    for (const member of request.members) requestFor.set(member.index, request);
+  }
+
+  const issue = async (request) => {
+    const data = await fetchBytes(request.url, request.byteRange, tabId);
+    return Promise.all(request.members.map(member => prepare(
+      request.members.length === 1 ? data : data.slice(member.offset, member.offset + member.length),
+      member.index
+    )));
+  };
+
+  return async function fetchSegment(index) {
+    const request = requestFor.get(index);
+    if (!request.promise) request.promise = withRetries(() => issue(request), tabId);
+    try {
+      const results = await request.promise;
+      return results[request.members.findIndex(m => m.index === index)];
+    } finally {
+      if (--request.remaining === 0) request.promise = null;
+    }
+  };
+}
+
+// Segments missing in a row, even after retries, that end a download
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+/**
+ * Fetch segments `start` to `count - 1` with `fetchSegment(index)`, keeping
+ * up to `concurrency` requests in flight, and hand them to
+ * `write(index, data, error)` in order.  `data` is null for a segment that
+ * could not be fetched, `error` saying why; `write` may return false to stop
+ * there.  Resolves to the indices of the missing segments.
+ *
+ * Requests run at most twice `concurrency` segments ahead of the one being
+ * written, so a slow segment holds up the others only that far.  More than
+ * `maxFailures` missing segments in a row mean the server or the session has
+ * gone, and end the download.
+ */
+async function fetchSegmentsInOrder(fetchSegment, { start = 0, count, concurrency, write, maxFailures = MAX_CONSECUTIVE_FAILURES }) {
+  const results = new Map(); // index → Promise<{ data } | { error }>
+  let next = start;
+  let written = start;
+  let inFlight = 0;
+  let stopped = false;
+
+  const launch = () => {
+    while (!stopped && inFlight < concurrency && next < count && next < written + 2 * concurrency) {
+      const index = next++;
+      inFlight++;
+      results.set(index, fetchSegment(index).then(data => ({ data }), error => ({ error })).finally(() => {
+        inFlight--;
+        launch();
+      }));
+    }
+  };
+
+  const missing = [];
+  let failures = 0;
+  try {
+    for (let index = start; index < count; index++) {
+      launch();
+      const { data, error } = await results.get(index);
+      results.delete(index);
+      written = index + 1;
+      if (error) {
+        // A paused or cancelled job stops here instead of skipping segments
+        if (error.name === 'AbortError') throw error;
+        missing.push(index);
+        if (++failures > maxFailures) {
+          const reason = error.status === 401 || error.status === 403
+            ? `HTTP ${error.status} — authentication expired`
+            : error.message;
+          throw new Error(`Too many segment failures (${reason})`);
+        }
+      } else {
+        failures = 0;
+      }
+      if ((await write(index, error ? null : data, error)) === false) break;
+    }
+  } finally {
+    stopped = true;
+  }
+  return missing;
+}
+
+/**
+ * Add a warning about `missing` segments to a download's result, so the user
+ * knows the file has gaps.
+ */
+function reportMissing(result, missing) {
+  if (!result.ok || missing === 0) return result;
+  const gaps = `${missing} segment${missing === 1 ? '' : 's'} could not be downloaded — the file has gaps`;
+  // The popup shows the message of a download saved as separate tracks
+  if (result.demuxed) return { ...result, missingSegments: missing, message: `${result.message} ${gaps}.` };
+  return { ...result, missingSegments: missing, warning: result.warning ? `${result.warning}. ${gaps}` : gaps };
+}
+
+/**
+ * The result of a download whose clip (video.clip) lies beyond the end of
+ * `segments`.
+ */
+function clipOutsideStream(segments) {
+  const duration = segments.reduce((sum, seg) => sum + seg.duration, 0);
+  return { error: `The clip starts after the end of the stream (${formatClipTime(duration)})` };
+}
+
+// Consecutive failures on a mirror before the download moves to the next one
+const MAX_MIRROR_FAILURES = 3;
+
+/**
+ * A fetchSegmentBytes() that fails over between a DASH representation's
+ * BaseURLs.  URLs are built on baseUrls[0]; a request that fails is retried
+ * on the following mirrors, and after MAX_MIRROR_FAILURES consecutive
+ * failures of the active mirror all later requests start at the next one.
+ */
+function createMirrorFetcher(baseUrls) {
+  let active = 0;
+  let failures = 0;
+
+  // Move a URL built on the first base over to mirror i
+  const rebase = (url, i) => {
+    if (i === 0) return url;
+    if (url === baseUrls[0]) return baseUrls[i];
+    const from = resolveUrl(baseUrls[0], '.');
+    return url.startsWith(from) ? resolveUrl(baseUrls[i], '.') + url.slice(from.length) : url;
+  };
+
+  return async function fetchBytes(url, byteRange, tabId) {
+    let lastError;
+    for (let i = active; i < baseUrls.length; i++) {
+      try {
+        const data = await fetchSegmentBytes(rebase(url, i), byteRange, tabId);
+        if (i === active) failures = 0;
+        return data;
+      } catch (err) {
+        lastError = err;
+        if (i === active && ++failures >= MAX_MIRROR_FAILURES && active < baseUrls.length - 1) {
+          active++;
+          failures = 0;
+        }
+      }
+    }
+    throw lastError;
+  };
+}
+
+/**
+ * Fetch the #EXT-X-MAP initialization segment of an fMP4/CMAF playlist.
+ * Each distinct map is fetched once and reused from `cache`.
+ */
+function fetchInitSegment(map, tabId, cache, decrypt) {
+  const key = mapKey(map);
+  if (!cache.has(key)) {
+    // An encrypted map uses the key in effect at its tag, always with an explicit IV
+    const data = withRetries(async () => {
+      const bytes = await fetchSegmentBytes(map.url, map.byteRange, tabId);
+      if (map.key) rejectText(new Uint8Array(bytes));
+      return validateSegment(await decrypt(bytes, map.key, 0), 'mp4');
+    }, tabId);
+    cache.set(key, data.catch((err) => {
+      throw new Error(`Failed to fetch initialization segment: ${err.message}`);
+    }));
+  }
+  return cache.get(key);
+}
+
+async function downloadHLS(video, tabId, stored) {
+  // First fetch the m3u8 with authentication
+  const response = await authenticatedFetch(video.url, tabId);
+  if (!response.ok) return { error: `Failed to fetch manifest: HTTP ${response.status}` };
+  const content = await response.text();
+  const qualities = parseM3U8Master(content, video.url);
+
+  if (qualities.length > 0) {
+    if (video.audioOnly) return await downloadHLSAudio(qualities, video, tabId, stored);
+
+    // It's a master playlist - use the user-selected or preferred quality
+    const selected = video.selectedQuality
+      ? qualities.find(q => q.url === video.selectedQuality)
+      : pickPreferredQuality(qualities, settings.preferredQuality);
+
+    if (!selected) return { error: 'Quality not found' };
+    // Kept with the job, so a resumed download is named the same
+    video = atQuality(video, selected);
+    await stored.save({ video });
+
+    // Fetch the media playlist with authentication
+    const mediaResp = await authenticatedFetch(selected.url, tabId);
+    if (!mediaResp.ok) return { error: `Failed to fetch media playlist: HTTP ${mediaResp.status}` };
+    const mediaContent = await mediaResp.text();
+
+    // Demuxed HLS: separate video and audio playlists (e.g. thegreatcourses.com)
+    const audio = pickAudioRenditions(selected.audioTracks, video.selectedAudio);
+    if (audio.some(rendition => rendition.url)) {
+      return await downloadHLSDemuxed(mediaContent, selected.url, audio, video, tabId, stored);
+    }
+
+    return await downloadHLSSegments(mediaContent, selected.url, video, tabId, stored);
+  }
+
+  // It's already a media playlist
+  return await downloadHLSSegments(content, video.url, video, tabId, stored);
+}
+
+// Codecs of audio streams, as listed in CODECS and @codecs attributes
+const AUDIO_CODEC_RE = /^(mp4a|opus|vorbis|ac-3|ec-3|flac|mp3)/i;
+
+/**
+ * Download only the audio of a master playlist: an audio rendition with a
+ * playlist of its own if there is one, else an audio-only variant, else the
+ * smallest variant, whose video is dropped when it is remuxed (variants
+ * usually share the same audio).
+ */
+async function downloadHLSAudio(qualities, video, tabId, stored) {
+  // Variants of a group list the same renditions
+  const renditions = [...new Map(
+    qualities.flatMap(q => q.audioTracks).filter(t => t.url).map(t => [t.url, t])
+  ).values()];
+  const rendition = pickAudioRenditions(renditions, video.selectedAudio)[0];
+  const audioVariant = qualities.find(q => !q.resolution && q.codecs
+    && q.codecs.split(',').every(codec => AUDIO_CODEC_RE.test(codec.trim())));
+  const source = rendition || audioVariant || qualities[qualities.length - 1];
+
+  const resp = await authenticatedFetch(source.url, tabId);
+  if (!resp.ok) return { error: `Failed to fetch audio playlist: HTTP ${resp.status}` };
+  const content = await resp.text();
+  // fMP4 video cannot be dropped the way remuxed TS video is
+  if (!rendition && !audioVariant && parseM3U8Segments(content, source.url).some(seg => seg.map)) {
+    return { error: 'This stream has no separate audio track to download' };
+  }
+  return await downloadHLSSegments(content, source.url, video, tabId, stored);
+}
+
+/**
+ * Continue a stored HLS download with the media playlists it started with,
+ * which also give the segments' key URIs.
+ */
+async function resumeHLS(video, tabId, stored) {
+  const { media, audio } = stored.state.playlists;
+  if (audio) return await downloadHLSDemuxed(media.content, media.url, null, video, tabId, stored);
+  return await downloadHLSSegments(media.content, media.url, video, tabId, stored);
+}
+
+async function downloadHLSSegments(content, baseUrl, video, tabId, stored) {
+  const playlist = parseM3U8Segments(content, baseUrl);
+  if (playlist.length === 0) return { error: 'No segments found' };
+  // A clip only needs the segments that cover it
+  const { segments, trim } = clipSegments(playlist, video.clip);
+  if (segments.length === 0) return clipOutsideStream(playlist);
+  video = { ...video, duration: totalDuration(segments) };
+  if (!stored.state.playlists) {
+    await stored.save({ playlists: { media: { url: baseUrl, content } }, total: segments.length });
+  }
+
+  // Many paywall sites use AES-128 encrypted HLS; keys are fetched on demand
+  const decrypt = createSegmentDecryptor(tabId);
+
+  const track = await openTrack(stored, 'video');
+  const spool = track.spool;
+
+  // Notify progress
+  broadcastProgress(video.id, track.next, segments.length);
+
+  const missing = await fetchHLSTrack(segments, track, stored, {
+    tabId,
+    decrypt,
+    initCache: new Map(),
+    onSegment: index => broadcastProgress(video.id, index + 1, segments.length),
+  });
+
+  if (spool.chunks.length === 0) return { error: 'No segments downloaded — authentication may have expired' };
+
+  const { downloadId, warning } = await saveHLSOutput(spool, segments.some(seg => seg.map), video, trim);
+  const live = !parseM3U8MediaInfo(content).ended;
+  return reportMissing({
+    ok: true,
+    downloadId,
+    segmentCount: segments.length - missing.length,
+    warning: live
+      ? `Live stream — saved the ${segments.length} segments currently listed. Use Record to capture it as it plays.`
+      : warning,
+  }, missing.length);
+}
+
+/**
+ * Package the spooled HLS segments of a single playlist and save them.  fMP4
+ * segments are already MP4; TS is remuxed unless the user asked to keep it,
+ * and trimmed to `trim` for a clip.  An audio-only download (video.audioOnly)
+ * is always made an M4A, or kept as raw AAC if it cannot be remuxed.
+ */
+async function saveHLSOutput(spool, fragmented, video, trim = null) {
+  let output = { spool, type: 'video/mp2t', ext: '.ts' };
+  let warning;
+  if (fragmented) {
+    output = video.audioOnly ? await audioMP4Output(spool) : { spool, type: 'video/mp4', ext: '.mp4' };
+  } else if (settings.hlsOutputFormat !== 'ts' || video.audioOnly) {
+    try {
+      output = await remuxToMP4(spool, trim, video.audioOnly);
+    } catch (err) {
+      // Packed audio segments (ID3 and ADTS) add up to an .aac file
+      const first = spool.chunks.length > 0 ? await spool.read(spool.chunks[0].offset, 1) : null;
+      if (video.audioOnly && first && first[0] !== 0x47) output = { spool, type: 'audio/aac', ext: '.aac' };
+      warning = `Could not convert to ${video.audioOnly ? 'M4A' : 'MP4'} (${err.message}) — saved as ${output.ext} instead`;
+    }
+  }
+
+  const downloadId = await saveSpool(output.spool, output.type, outputFilename(video, output.ext), video.saveAs);
+  // The segments are kept until then, so that a failed save can be resumed
+  if (output.spool !== spool) await spool.remove();
+  return { downloadId, warning };
+}
+
+/**
+ * Audio renditions to download with a variant: the user's pick from the
+ * popup (by NAME, which is unique within a group), else the preferred
+ * language from the settings, else DEFAULT=YES, else the first one.
+ */
+function pickAudioRenditions(audioTracks, selectedNames) {
+  if (!audioTracks || audioTracks.length === 0) return [];
+
+  if (selectedNames && selectedNames.length > 0) {
+    const picked = audioTracks.filter(t => selectedNames.includes(t.name));
+    if (picked.length > 0) return picked;
+  }
+
+  const preferred = (settings.preferredAudioLanguage || '').trim().toLowerCase();
+  if (preferred) {
+    const matches = audioTracks.filter((t) => {
+      const language = t.language.toLowerCase();
+      return language === preferred || language.startsWith(preferred + '-');
+    });
+    // The main programme rather than an audio-description track
+    const main = matches.find(t => !t.characteristics.includes('public.accessibility.describes-video'));
+    if (main || matches.length > 0) return [main || matches[0]];
+  }
+
+  return [audioTracks.find(t => t.isDefault) || audioTracks[0]];
+}
+
+/**
+ * Download demuxed HLS streams — separate video and audio playlists.
+ *
+ * Sites like thegreatcourses.com / Wondrium use HLS master playlists with
+ * #EXT-X-MEDIA:TYPE=AUDIO pointing to a separate audio .m3u8, while each
+ * #EXT-X-STREAM-INF variant only contains the video track.  Fetching only
+ * the video playlist produces a silent file.  This function downloads the
+ * video and every chosen audio rendition and interleaves them into a single
+ * MP4 with one audio track per rendition.  A chosen rendition without URI
+ * keeps the audio muxed into the video playlist.
+ *
+ * If muxing fails the tracks are saved as separate files (_video.ts +
+ * _audio.ts) that can be merged with FFmpeg:
+ *   ffmpeg -i NAME_video.ts -i NAME_audio.ts -c copy output.mp4
+ */
+async function downloadHLSDemuxed(videoPlaylistContent, videoPlaylistUrl, audioRenditions, video, tabId, stored) {
+  // Fetch the audio playlists, unless the job is being resumed
+  const saved = stored.state.playlists;
+  let audioPlaylists = saved?.audio;
+  if (!audioPlaylists) {
+    audioPlaylists = [];
+    for (const rendition of audioRenditions.filter(r => r.url)) {
+      const audioResp = await authenticatedFetch(rendition.url, tabId);
+      if (!audioResp.ok) continue;
+      const content = await audioResp.text();
+      if (parseM3U8Segments(content, rendition.url).length > 0) audioPlaylists.push({ rendition, content });
+    }
+  }
+  if (audioPlaylists.length === 0) {
+    // Graceful fallback: download video-only and surface a warning
+    const result = await downloadHLSSegments(videoPlaylistContent, videoPlaylistUrl, video, tabId, stored);
+    const warning = 'Audio playlist unavailable — downloaded video track only';
+    return { ...result, warning: result.missingSegments ? `${warning}. ${result.warning}` : warning };
+  }
+  const muxedAudio = saved ? saved.muxedAudio : audioRenditions.find(r => !r.url) || null;
+
+  const videoPlaylist = parseM3U8Segments(videoPlaylistContent, videoPlaylistUrl);
+
+  if (videoPlaylist.length === 0) return { error: 'No video segments found in media playlist' };
+  // Each playlist is clipped on its own; the video's segments set the trim
+  const { segments: videoSegments, trim } = clipSegments(videoPlaylist, video.clip);
+  if (videoSegments.length === 0) return clipOutsideStream(videoPlaylist);
+  video = { ...video, duration: totalDuration(videoSegments) };
+  const audioSegmentLists = audioPlaylists.map(({ rendition, content }) =>
+    clipSegments(parseM3U8Segments(content, rendition.url), video.clip).segments);
+
+  const totalSegments = videoSegments.length + audioSegmentLists.reduce((sum, list) => sum + list.length, 0);
+  if (!saved) {
+    await stored.save({
+      playlists: { media: { url: videoPlaylistUrl, content: videoPlaylistContent }, audio: audioPlaylists, muxedAudio },
+      total: totalSegments,
+    });
+  }
+
+  // AES-128 keys for all playlists share one cache (they are often the same URI)
+  const decrypt = createSegmentDecryptor(tabId);
+
+  const videoTrack = await openTrack(stored, 'video');
+  const audioTrackStates = [];
+  for (let k = 0; k < audioPlaylists.length; k++) audioTrackStates.push(await openTrack(stored, `audio${k}`));
+
+  let completed = [videoTrack, ...audioTrackStates].reduce((sum, track) => sum + track.next, 0);
+  broadcastProgress(video.id, completed, totalSegments);
+  const fetchOptions = {
+    tabId,
+    decrypt,
+    initCache: new Map(),
+    onSegment: () => broadcastProgress(video.id, ++completed, totalSegments),
+  };
+
+  // ── Download video segments ──────────────────────────────────────────────
+  const videoSpool = videoTrack.spool;
+  const missing = await fetchHLSTrack(videoSegments, videoTrack, stored, fetchOptions);
+
+  if (videoSpool.chunks.length === 0) return { error: 'No video segments downloaded — auth may have expired' };
+
+  // ── Download audio segments, one rendition at a time ─────────────────────
+  const audioTracks = [];
+  for (const [k, { rendition }] of audioPlaylists.entries()) {
+    const audioSegments = audioSegmentLists[k];
+    const audioTrack = audioTrackStates[k];
+    // Non-fatal: the video still saves, even without this rendition
+    missing.push(...await fetchHLSTrack(audioSegments, audioTrack, stored, { ...fetchOptions, maxFailures: Infinity }));
+
+    audioTracks.push({
+      spool: audioTrack.spool,
+      fragmented: audioSegments.some(seg => seg.map),
+      language: rendition.language,
+      name: rendition.name,
+    });
+  }
+
+  const result = await saveHLSDemuxedOutput(videoSpool, audioTracks, {
+    videoFragmented: videoSegments.some(seg => seg.map),
+    muxedAudio,
+    trim,
+  }, video);
+  return reportMissing(result, missing.length);
+}
+
+/**
+ * Fetch a playlist's segments into its stored track, from the first one not
+ * in the track's spool yet, each appended with its { duration }.  An init
+ * segment goes before the first segment and wherever the map changes.
+ * Segments are checked to be TS or MP4 after decryption, and fetched again
+ * when they are not.  `onSegment(index)` reports progress.  Resolves to the
+ * indices of the segments that could not be downloaded.
+ */
+async function fetchHLSTrack(segments, track, stored, { tabId, decrypt, initCache, onSegment, maxFailures }) {
+  const spool = track.spool;
+  let currentMap = track.mapSegment >= 0 ? segments[track.mapSegment].map : null;
+  // Each segment request uses authenticated fetch with cookies/tokens, and
+  // AES-128 encrypted segments are decrypted as they arrive
+  const fetchSegment = createSegmentFetcher(segments, tabId, { prepare: prepareHLSSegment(segments, decrypt) });
+
+  return fetchSegmentsInOrder(fetchSegment, {
+    start: track.next,
+    count: segments.length,
+    concurrency: settings.maxConcurrentDownloads || 3,
+    maxFailures,
+    write: async (index, data) => {
+      const seg = segments[index];
+      if (data) {
+        // Only a different init segment is written again, not a repeated tag
+        if (seg.map && (!currentMap || mapKey(seg.map) !== mapKey(currentMap))) {
+          currentMap = seg.map;
+          track.mapSegment = index;
+          await spool.append(await fetchInitSegment(currentMap, tabId, initCache, decrypt), { duration: 0 });
+        }
+        await spool.append(data, { duration: seg.duration });
+      } else {
+        track.gap = true;
+      }
+      await saveTrack(stored, track, index + 1, segments.length);
+      onSegment(index);
+    },
+  });
+}
+
+/**
+ * The `prepare` hook of createSegmentFetcher() for HLS `segments`: decrypts
+ * each one and checks that it is TS or MP4.
+ */
+function prepareHLSSegment(segments, decrypt) {
+  return async (data, index) => {
+    const seg = segments[index];
+    // A login page is caught before decryption turns it into noise
+    if (seg.key) rejectText(new Uint8Array(data));
+    return validateSegment(await decrypt(data, seg.key, seg.sequence), seg.map ? 'mp4' : 'ts');
+  };
+}
+
+/**
+ * Interleave a spool of demuxed video segments ({ duration } each) with one
+ * or more audio tracks ({ spool, fragmented, language, name }) into one MP4:
+ * TS segments are remuxed, fMP4 ones combined as they are.  If muxing fails
+ * every track is saved as a separate file instead.  `muxedAudio`
+ * describes the video playlist's own audio when it should be kept as well.
+ */
+async function saveHLSDemuxedOutput(videoSpool, audioTracks, { videoFragmented, muxedAudio = null, trim = null }, video) {
+  const downloaded = audioTracks.filter(track => track.spool.chunks.length > 0);
+  const segmentCount = videoSpool.chunks.length
+    + audioTracks.reduce((sum, track) => sum + track.spool.chunks.length, 0);
+  const spools = [videoSpool, ...audioTracks.map(track => track.spool)];
+
+  // ── Interleave all tracks into one MP4 ──────────────────────────────────
+  let mergeError = null;
+  if (downloaded.length > 0) {
+    try {
+      let output;
+      if (videoFragmented && downloaded.every(track => track.fragmented)) {
+        // fMP4/CMAF renditions bring their own init segments: combine the tracks
+        const merged = mergeFragmentedMP4([videoSpool, ...downloaded.map(track => track.spool)]);
+        output = { spool: await spoolParts(merged), type: 'video/mp4', ext: '.mp4' };
+      } else {
+        output = await mergeToMP4(videoSpool, downloaded, muxedAudio, trim);
+      }
+      const downloadId = await saveSpool(output.spool, output.type, outputFilename(video, output.ext), video.saveAs);
+      await Promise.all(spools.map(spool => spool.remove()));
+      const missing = audioTracks.length - downloaded.length;
+      return {
+        ok: true,
+        downloadId,
+        segmentCount,
+        warning: missing > 0 ? `${missing} audio track(s) could not be downloaded` : undefined,
+      };
+    } catch (err) {
+      mergeError = err.message;
+    }
+  }
+
+  // ── Fallback: trigger downloads for every track ─────────────────────────
+  // fMP4/CMAF renditions keep their container; everything else is raw TS
+  const videoName = outputFilename(video, videoFragmented ? '_video.mp4' : '_video.ts');
+  const videoDownloadId = await saveSpool(
+    videoSpool, videoFragmented ? 'video/mp4' : 'video/mp2t', videoName, false
+  );
+
+  const audioNames = [];
+  let audioDownloadId = null;
+  for (const [i, track] of downloaded.entries()) {
+    // Several renditions are told apart by language (or position)
+    const label = downloaded.length > 1 ? `.${sanitizeFilename(track.language || String(i + 1))}` : '';
+    const audioName = outputFilename(video, `_audio${label}${track.fragmented ? '.m4a' : '.ts'}`);
+    const downloadId = await saveSpool(
+      track.spool, track.fragmented ? 'audio/mp4' : 'video/mp2t', audioName, false
+    );
+    if (audioDownloadId === null) audioDownloadId = downloadId;
+    audioNames.push(audioName);
+  }
+
+  const inputs = [videoName, ...audioNames].map(name => `-i "${name}"`).join(' ');
+  const maps = audioNames.length > 1
+    ? ' ' + ['-map 0:v', ...audioNames.map((_, i) => `-map ${i + 1}:a`)].join(' ')
+    : '';
+  return {
+    ok: true,
+    downloadId: videoDownloadId,
+    audioDownloadId,
+    segmentCount,
+    demuxed: true,
+    message: audioNames.length > 0
+      ? `Could not merge tracks (${mergeError}). Saved as "${videoName}" and ${audioNames.map(n => `"${n}"`).join(', ')}. Merge with: ffmpeg ${inputs}${maps} -c copy output.mp4`
+      : `Saved "${videoName}" (audio stream could not be downloaded)`,
+  };
+}
+
+/**
+ * Download a segmented WebVTT subtitle playlist and save it as one file named
+ * after the video (NAME.en.vtt / NAME.en.srt), so players pick it up when it
+ * sits next to the video.
+ */
+async function downloadHLSSubtitles(video, subtitle, tabId) {
+  const response = await authenticatedFetch(subtitle.url, tabId);
+  if (!response.ok) return { error: `Failed to fetch subtitle playlist: HTTP ${response.status}` };
+  const content = await response.text();
+
+  // A few servers point URI straight at a single .vtt file
+  const segments = content.trimStart().startsWith('WEBVTT')
+    ? null
+    : parseM3U8Segments(content, subtitle.url);
+  if (segments && segments.length === 0) return { error: 'No subtitle segments found' };
+
+  const texts = [];
+  let missing = [];
+  if (!segments) {
+    texts.push(content);
+  } else {
+    const decrypt = createSegmentDecryptor(tabId);
+    const fetchSegment = createSegmentFetcher(segments, tabId);
+    const decoder = new TextDecoder();
+    broadcastProgress(video.id, 0, segments.length);
+
+    missing = await fetchSegmentsInOrder(
+      async index => decrypt(await fetchSegment(index), segments[index].key, segments[index].sequence),
+      {
+        count: segments.length,
+        concurrency: settings.maxConcurrentDownloads || 3,
+        write: (index, data) => {
+          if (data) texts.push(decoder.decode(data));
+          broadcastProgress(video.id, index + 1, segments.length);
+        },
+      }
+    );
+  }
+
+  const track = stitchWebVTT(texts);
+  if (track.cues.length === 0) return { error: 'Subtitle track is empty' };
+
+  const srt = settings.subtitleFormat === 'srt';
+  const suffix = sanitizeFilename(subtitle.language || subtitle.name).replace(/\s+/g, '_');
+  const filename = outputFilename(video, `${suffix ? `.${suffix}` : ''}${srt ? '.srt' : '.vtt'}`);
+
+  const downloadId = await saveBlob(
+    [srt ? formatSRT(track) : formatWebVTT(track)],
+    srt ? 'application/x-subrip' : 'text/vtt',
+    filename,
+    video.saveAs
+  );
+  return reportMissing({ ok: true, downloadId, segmentCount: texts.length }, missing.length);
+}
+
+// ── Live HLS Recording ───────────────────────────────────────────────────────
+// A live media playlist (no #EXT-X-ENDLIST) only lists the last few segments.
+// Recording reloads it about once per target duration and appends segments
+// whose media sequence number it has not seen yet, until the user clicks
+// Stop or the playlist gains #EXT-X-ENDLIST.
+
+// Map<videoId, recording>
+const activeRecordings = new Map();
+
+// Segments behind the live edge to start from (RFC 8216 asks players to stay
+// at least three target durations from the end of a live playlist)
+const LIVE_EDGE_SEGMENTS = 3;
+
+// Consecutive playlist reload failures before the recording is finalized
+const MAX_PLAYLIST_FAILURES = 5;
+
+function createRecording(videoId) {
+  const wakers = new Set();
+  const recording = {
+    videoId,
+    elapsed: 0, // seconds of media recorded from the main playlist
+    segments: 0,
+    stopped: false,
+    warning: null,
+    stop() {
+      recording.stopped = true;
+      for (const wake of wakers) wake();
+    },
+    // Wait between playlist reloads; Stop cuts the wait short
+    sleep(ms) {
+      return new Promise((resolve) => {
+        const wake = () => {
+          clearTimeout(timer);
+          wakers.delete(wake);
+          resolve();
+        };
+        const timer = setTimeout(wake, ms);
+        wakers.add(wake);
+      });
+    },
+  };
+  return recording;
+}
+
+async function recordHLS(video, tabId) {
+  if (activeRecordings.has(video.id)) return { error: 'Already recording this stream' };
+
+  const response = await authenticatedFetch(video.url, tabId);
+  if (!response.ok) return { error: `Failed to fetch manifest: HTTP ${response.status}` };
+  const content = await response.text();
+  const qualities = parseM3U8Master(content, video.url);
+
+  let playlistUrl = video.url;
+  let audio = [];
+  if (qualities.length > 0) {
+    const selected = video.selectedQuality
+      ? qualities.find(q => q.url === video.selectedQuality)
+      : pickPreferredQuality(qualities, settings.preferredQuality);
+    if (!selected) return { error: 'Quality not found' };
+    video = atQuality(video, selected);
+    playlistUrl = selected.url;
+    audio = pickAudioRenditions(selected.audioTracks, video.selectedAudio);
+  }
+  const audioPlaylists = audio.filter(rendition => rendition.url);
+
+  const recording = createRecording(video.id);
+  activeRecordings.set(video.id, recording);
+  broadcastRecording(recording);
+
+  try {
+    // Demuxed renditions share the key cache and the stop signal
+    const decrypt = createSegmentDecryptor(tabId);
+    const [videoTrack, ...audioTracks] = await Promise.all([
+      recordPlaylist(playlistUrl, tabId, recording, decrypt, true),
+      ...audioPlaylists.map(rendition => recordPlaylist(rendition.url, tabId, recording, decrypt, false)),
+    ]);
+
+    if (videoTrack.spool.chunks.length === 0) {
+      return { error: recording.warning || 'Recording stopped before any segment was downloaded' };
+    }
+    video = { ...video, duration: recording.elapsed };
+
+    const missing = [videoTrack, ...audioTracks].flatMap(track => track.missing);
+    if (audioTracks.length > 0) {
+      const result = await saveHLSDemuxedOutput(videoTrack.spool, audioTracks.map((track, i) => ({
+        ...track,
+        language: audioPlaylists[i].language,
+        name: audioPlaylists[i].name,
+      })), {
+        videoFragmented: videoTrack.fragmented,
+        muxedAudio: audio.find(rendition => !rendition.url) || null,
+      }, video);
+      return reportMissingLive({ ...result, warning: recording.warning || result.warning }, missing);
+    }
+
+    const { downloadId, warning } = await saveHLSOutput(videoTrack.spool, videoTrack.fragmented, video);
+    return reportMissingLive({
+      ok: true,
+      downloadId,
+      segmentCount: recording.segments,
+      warning: recording.warning || warning,
+    }, missing);
+  } finally {
+    activeRecordings.delete(video.id);
+  }
+}
+
+/**
+ * The error to stop a recording with when a live segment failed because the
+ * session has gone: a login page or an error document came instead of media,
+ * or the server refused the request.  Later segments would fail the same
+ * way.  Null for failures that may not recur.
+ */
+function sessionError(err) {
+  if (err.invalid === 'html' || err.invalid === 'json') return err;
+  if (err.status === 401 || err.status === 403) return new Error(`HTTP ${err.status} — authentication expired`);
+  return null;
+}
+
+// Missing sequence numbers spelled out in a warning, the rest counted
+const MAX_LISTED_SEQUENCES = 10;
+
+/**
+ * Add the numbers of the live segments that could not be recorded
+ * (`missing`: HLS media sequence numbers or DASH segment numbers) to a
+ * recording's result, as `missingSequences` and in its warning.
+ */
+function reportMissingLive(result, missing) {
+  if (!result.ok || missing.length === 0) return result;
+  // Demuxed renditions usually number their segments alike
+  const sequences = [...new Set(missing)].sort((a, b) => a - b);
+  const extra = sequences.length - MAX_LISTED_SEQUENCES;
+  const listed = sequences.slice(0, MAX_LISTED_SEQUENCES).join(', ') + (extra > 0 ? ` and ${extra} more` : '');
+  const gaps = `Live segment${sequences.length === 1 ? '' : 's'} ${listed} could not be downloaded — the recording has gaps`;
+  const withGaps = { ...result, missingSequences: sequences };
+  if (result.demuxed) return { ...withGaps, message: `${result.message} ${gaps}.` };
+  return { ...withGaps, warning: result.warning ? `${result.warning}. ${gaps}` : gaps };
+}
+
+/**
+ * Reload one live media playlist until the recording stops, collecting each
+ * new segment once into a spool.  Returns { spool, fragmented, missing }, the
+ * spool's chunks carrying their { duration } and `missing` listing the media
+ * sequence numbers of the segments that could not be downloaded.
+ * Only the main playlist advances the elapsed time shown in the popup.
+ */
+async function recordPlaylist(url, tabId, recording, decrypt, isMain) {
+  const spool = await SpoolFile.create();
+  const concurrency = settings.maxConcurrentDownloads || 3;
+  const initCache = new Map();
+  // Reloads re-parse the playlist, so maps are compared by URI and range
+  let currentMapId = null;
+  let lastSequence = null;
+  let playlistFailures = 0;
+  const missing = []; // sequence numbers of the segments that could not be fetched
+
+  while (!recording.stopped) {
+    let content;
+    try {
+      const response = await authenticatedFetch(url, tabId);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      content = await response.text();
+      playlistFailures = 0;
+    } catch (err) {
+      if (++playlistFailures >= MAX_PLAYLIST_FAILURES) {
+        recording.warning = `Live playlist stopped responding (${err.message}) — saved what was recorded`;
+        recording.stop();
+        break;
+      }
+      await recording.sleep(2000);
+      continue;
+    }
+
+    const segments = parseM3U8Segments(content, url);
+    const { targetDuration, ended } = parseM3U8MediaInfo(content);
+
+    let fresh;
+    if (lastSequence === null) {
+      // First load: the whole DVR window, or just the live edge
+      fresh = ended || settings.recordFromStart ? segments : segments.slice(-LIVE_EDGE_SEGMENTS);
+    } else {
+      // A restarted stream may reset its media sequence numbers
+      const newest = segments.length > 0 ? segments[segments.length - 1].sequence : lastSequence;
+      if (newest < lastSequence) lastSequence = segments[0].sequence - 1;
+      fresh = segments.filter(seg => seg.sequence > lastSequence);
+    }
+
+    // A missed live segment is gone from the playlist soon; keep recording
+    // unless the session has expired
+    const fetchSegment = createSegmentFetcher(fresh, tabId, { prepare: prepareHLSSegment(fresh, decrypt) });
+    try {
+      await fetchSegmentsInOrder(fetchSegment, {
+        count: fresh.length,
+        concurrency,
+        write: async (index, data, error) => {
+          if (recording.stopped) return false;
+          const seg = fresh[index];
+          lastSequence = seg.sequence;
+          if (!data) {
+            const expired = sessionError(error);
+            if (expired) throw expired;
+            missing.push(seg.sequence);
+            return;
+          }
+          const mapId = seg.map && mapKey(seg.map);
+          if (mapId && mapId !== currentMapId) {
+            currentMapId = mapId;
+            await spool.append(await fetchInitSegment(seg.map, tabId, initCache, decrypt), { duration: 0 });
+          }
+          await spool.append(data, { duration: seg.duration });
+          if (isMain) {
+            recording.elapsed += seg.duration;
+            recording.segments++;
+            broadcastRecording(recording);
+          }
+        },
+      });
+    } catch (err) {
+      // Keep everything recorded so far rather than failing the whole file
+      recording.warning = `${err.message} — recording stopped early`;
+      recording.stop();
+      break;
+    }
+
+    if (ended) break;
+    // Reload after one target duration, or half of one if nothing was new
+    const interval = (fresh.length > 0 ? targetDuration : targetDuration / 2) || 5;
+    await recording.sleep(interval * 1000);
+  }
+
+  return { spool, fragmented: currentMapId !== null, missing };
+}
+
+// ── Live DASH Recording ──────────────────────────────────────────────────────
+// A dynamic MPD publishes a fixed-duration template segment once it has fully
+// elapsed since availabilityStartTime + Period@start, and drops it again after
+// timeShiftBufferDepth; SegmentTimeline manifests list what is available and
+// grow on every reload.  Either way the recorder fetches each segment (keyed
+// by its presentation time) once, reloading the MPD every
+// minimumUpdatePeriod, until the user stops or the MPD turns static.
+
+// Ticks a segment may be missing (server clock skew) before it is skipped
+const MAX_SEGMENT_RETRIES = 3;
+
+// How far back a recording can start when the MPD sets no timeShiftBufferDepth
+const MAX_DVR_SECONDS = 6 * 3600;
+
+async function fetchLiveMPD(url, tabId) {
+  const response = await authenticatedFetch(url, tabId);
+  if (!response.ok) throw new Error(`Failed to fetch MPD: HTTP ${response.status}`);
+  const content = await response.text();
+  // Segment availability is wall-clock based; the server's Date header
+  // corrects for a skewed local clock
+  const serverDate = Date.parse(response.headers.get('Date') || '');
+  return {
+    presentation: parseMPDPresentation(content),
+    // Live recordings follow the first period, as parseMPDPresentation does
+    qualities: parseMPDPeriods(content, url)[0]?.qualities || [],
+    clockOffset: Number.isNaN(serverDate) ? 0 : serverDate - Date.now(),
+  };
+}
+
+/**
+ * Segments of a representation that can be fetched at `now` (epoch ms).
+ * Once the MPD is static the complete list is returned.
+ */
+function liveDASHSegments(representation, presentation, now) {
+  if (!presentation.dynamic) {
+    return resolveDASHSegments(representation, presentation) || [];
+  }
+  const elapsed = (now - presentation.availabilityStartTime) / 1000 - presentation.periodStart;
+  // Only the timeshift buffer is still on the server
+  const depth = presentation.timeShiftBufferDepth ?? MAX_DVR_SECONDS;
+  return resolveDASHSegments(representation, presentation, { from: elapsed - depth, until: elapsed }) || [];
+}
+
+async function recordDASH(video, tabId) {
+  if (activeRecordings.has(video.id)) return { error: 'Already recording this stream' };
+
+  let mpd = await fetchLiveMPD(video.url, tabId);
+  // Static manifests are complete already
+  if (!mpd.presentation.dynamic) return await downloadDASH(video, tabId);
+
+  // Representations that share a SegmentTemplate share a URL too: the id decides
+  let representation = video.selectedQuality
+    ? mpd.qualities.find(q => q.id === video.selectedQuality) || mpd.qualities.find(q => q.url === video.selectedQuality)
+    : pickPreferredQuality(mpd.qualities.filter(q => q.isVideo && q.segmentTemplate), settings.preferredQuality)
+      || mpd.qualities[0];
+  if (!representation) return { error: 'Quality not found' };
+  video = atQuality(video, representation);
+  const tmpl = representation.segmentTemplate;
+  if (!tmpl || !tmpl.media || (!tmpl.duration && !tmpl.timeline)) {
+    return { error: 'Live DASH recording needs a SegmentTemplate' };
+  }
+
+  const recording = createRecording(video.id);
+  activeRecordings.set(video.id, recording);
+  broadcastRecording(recording);
+
+  try {
+    const spool = await SpoolFile.create();
+    const concurrency = settings.maxConcurrentDownloads || 3;
+    const fetchBytes = createMirrorFetcher(representation.baseUrls);
+    const container = dashContainer(representation);
+
+    if (tmpl.initialization) {
+      const initUrl = resolveUrl(representation.url, expandSegmentTemplate(tmpl.initialization, representation));
+      await spool.append(await withRetries(
+        async () => validateSegment(await fetchBytes(initUrl, null, tabId), container),
+        tabId
+      ).catch((err) => {
+        throw new Error(`Failed to fetch initialization segment: ${err.message}`);
+      }));
+    }
+
+    let lastTime = null; // presentation time of the last segment taken
+    let lastRefresh = Date.now();
+    let retries = 0;
+    const skipped = []; // numbers of the segments given up on
+
+    while (!recording.stopped) {
+      const available = liveDASHSegments(representation, mpd.presentation, Date.now() + mpd.clockOffset);
+      let fresh;
+      if (lastTime === null) {
+        fresh = settings.recordFromStart ? available : available.slice(-LIVE_EDGE_SEGMENTS);
+      } else {
+        fresh = available.filter(seg => seg.time > lastTime);
+      }
+
+      // Appended in order up to the first gap, which is retried next tick
+      const fetchSegment = createSegmentFetcher(fresh, tabId, {
+        fetchBytes,
+        prepare: data => validateSegment(data, container),
+      });
+      try {
+        await fetchSegmentsInOrder(fetchSegment, {
+          count: fresh.length,
+          concurrency,
+          maxFailures: Infinity,
+          write: async (index, data, error) => {
+            if (recording.stopped) return false;
+            const seg = fresh[index];
+            const expired = !data && sessionError(error);
+            if (expired) throw expired;
+            if (data) {
+              await spool.append(data);
+              recording.elapsed += seg.duration;
+              recording.segments++;
+              broadcastRecording(recording);
+            } else if (++retries < MAX_SEGMENT_RETRIES) {
+              return false;
+            } else {
+              skipped.push(seg.number);
+            }
+            lastTime = seg.time;
+            retries = 0;
+          },
+        });
+      } catch (err) {
+        // Keep everything recorded so far rather than failing the whole file
+        recording.warning = `${err.message} — recording stopped early`;
+        break;
+      }
+
+      const remaining = available.filter(seg => lastTime === null || seg.time > lastTime);
+      if (!mpd.presentation.dynamic && remaining.length === 0) break;
+
+      // Timelines only grow when reloaded; without minimumUpdatePeriod a
+      // template manifest never changes
+      const updatePeriod = mpd.presentation.minimumUpdatePeriod ?? (tmpl.timeline ? 0 : null);
+      if (mpd.presentation.dynamic && updatePeriod != null && Date.now() - lastRefresh >= updatePeriod * 1000) {
+        lastRefresh = Date.now();
+        try {
+          mpd = await fetchLiveMPD(video.url, tabId);
+          const refreshed = mpd.qualities.find(q => q.id === representation.id);
+          if (refreshed && refreshed.segmentTemplate) representation = refreshed;
+        } catch { /* keep recording with the previous manifest */ }
+        if (!mpd.presentation.dynamic) continue; // the stream ended: collect the rest
+      }
+
+      // Wait about one segment for the next one to appear
+      const segmentDuration = available.length > 0
+        ? available[available.length - 1].duration
+        : (tmpl.duration / tmpl.timescale) || 2;
+      await recording.sleep(Math.max(segmentDuration * 1000 / 2, 250));
+    }
+
+    if (recording.segments === 0) {
+      await spool.remove();
+      return { error: recording.warning || 'Recording stopped before any segment was downloaded' };
+    }
+
+    const audioOnly = representation.isAudio && !representation.isVideo;
+    const filename = outputFilename({ ...video, duration: recording.elapsed }, audioOnly ? '.m4a' : '.mp4');
+    const downloadId = await saveSpool(spool, audioOnly ? 'audio/mp4' : 'video/mp4', filename, video.saveAs);
+    return reportMissingLive({
+      ok: true,
+      downloadId,
+      segmentCount: recording.segments,
+      warning: recording.warning || undefined,
+    }, skipped);
+  } finally {
+    activeRecordings.delete(video.id);
+  }
+}
+
+async function downloadDASH(video, tabId) {
+  const response = await authenticatedFetch(video.url, tabId);
+  if (!response.ok) return { error: `Failed to fetch MPD: HTTP ${response.status}` };
+  const content = await response.text();
+  const periods = parseMPDPeriods(content, video.url);
+
+  if (periods.every(period => period.qualities.length === 0)) {
+    return { error: 'No representations found in DASH manifest' };
+  }
+
+  // Live manifests only describe a moving window; they have to be recorded
+  const presentation = parseMPDPresentation(content);
+  if (presentation.dynamic) {
+    return { error: 'This is a live DASH stream — use Record to capture it' };
+  }
+
+  // Qualities are offered from the main period and followed into the others
+  const main = mainPeriod(periods);
+  const qualities = main.qualities;
+  // Representations that share a SegmentTemplate or BaseURL share a URL too
+  const byIdOrUrl = value => qualities.find(q => q.id === value) || qualities.find(q => q.url === value);
+  let selected;
+  if (video.audioOnly) {
+    // An audio representation on its own, as an M4A where there is a choice
+    selected = video.selectedAudio ? byIdOrUrl(video.selectedAudio) : pickDASHAudio(qualities, 'mp4');
+    if (!selected) return { error: 'No separate audio track found in DASH manifest' };
+  } else {
+    selected = video.selectedQuality
+      ? byIdOrUrl(video.selectedQuality)
+      : pickPreferredQuality(qualities.filter(q => q.isVideo), settings.preferredQuality) || qualities[0];
+    if (!selected) return { error: 'Quality not found' };
+  }
+  video = atQuality(video, selected);
+
+  // Video representations rarely carry sound: add an audio one to mux in
+  let audio = null;
+  if (selected.isVideo && !hasMuxedAudio(selected)) {
+    audio = video.selectedAudio ? byIdOrUrl(video.selectedAudio) : pickDASHAudio(qualities, dashContainer(selected));
+  }
+
+  let unmatched = 0;
+  const tracks = [selected, audio].filter(Boolean).map((representation) => {
+    const parts = [];
+    for (const period of periods) {
+      if (settings.skipAdPeriods && period.isAd && period !== main) continue;
+      const matched = period === main ? representation : matchRepresentation(representation, period.qualities);
+      if (!matched) {
+        unmatched++;
+        continue;
+      }
+      parts.push({
+        representation: matched,
+        presentation: { ...presentation, periodStart: period.start, periodDuration: period.duration },
+      });
+    }
+    return { representation, parts };
+  });
+
+  // A lone representation that is a single file at its BaseURL is left to
+  // the browser's own downloader
+  const segmented = ({ representation }) => representation.segmentTemplate?.media
+    || representation.segmentList || representation.segmentBase;
+  if (tracks.length === 1 && tracks[0].parts.length === 1 && !segmented(tracks[0].parts[0])) {
+    if (selected.url && selected.url !== video.url) {
+      const audioOnly = selected.isAudio && !selected.isVideo;
+      const webm = dashContainer(selected) === 'webm';
+      const ext = webm ? (audioOnly ? '.weba' : '.webm') : (audioOnly ? '.m4a' : '.mp4');
+      const downloadId = await startDownload(selected.url, outputFilename(video, ext), video.saveAs);
+      const warnings = [
+        video.clip && 'The stream is a single file, so all of it was downloaded',
+        webm && audioOnly && WEBM_AUDIO_WARNING,
+      ].filter(Boolean);
+      return { ok: true, downloadId, warning: warnings.join('; ') || undefined };
+    }
+    return { error: 'Could not resolve DASH segments' };
+  }
+
+  const result = await downloadDASHTracks(tracks, video, tabId);
+  if (unmatched > 0 && !result.error) {
+    const note = `${unmatched} period(s) had no matching track and were left out`;
+    result.warning = result.warning ? `${result.warning}; ${note}` : note;
+  }
+  return result;
+}
+
+/**
+ * Whether a representation's codecs list an audio codec next to the video
+ * one (audio muxed into the same segments).
+ */
+function hasMuxedAudio(representation) {
+  return representation.codecs.split(',').some(codec => AUDIO_CODEC_RE.test(codec.trim()));
+}
+
+/**
+ * Default audio representation: one in `container` ('mp4' or 'webm', that
+ * of the video it is muxed with) if any, in the preferred language if set,
+ * from the main AdaptationSet, at the highest bandwidth.
+ */
+function pickDASHAudio(qualities, container) {
+  let candidates = qualities.filter(q => q.isAudio && !q.isVideo);
+  if (candidates.length === 0) return null;
+
+  const sameContainer = candidates.filter(q => dashContainer(q) === container);
+  if (sameContainer.length > 0) candidates = sameContainer;
+
+  const preferred = (settings.preferredAudioLanguage || '').trim().toLowerCase();
+  if (preferred) {
+    const matches = candidates.filter((q) => {
+      const language = q.language.toLowerCase();
+      return language === preferred || language.startsWith(preferred + '-');
+    });
+    if (matches.length > 0) candidates = matches;
+  }
+
+  const mainRole = candidates.filter(q => q.role === 'main');
+  if (mainRole.length > 0) candidates = mainRole;
+
+  // qualities are sorted by bandwidth, highest first
+  return candidates[0];
+}
+
+function dashContainer(representation) {
+  return /webm/i.test(representation.mimeType) ? 'webm' : 'mp4';
+}
+
+// WebM audio is Opus or Vorbis, which an M4A cannot hold without re-encoding
+const WEBM_AUDIO_WARNING = 'The audio is Opus/Vorbis in WebM, which cannot be saved as M4A — saved as .weba instead';
+
+// Longest presentation probed when an MPD gives no way to count segments
+const MAX_PROBE_SECONDS = 7200;
+
+/**
+ * Download DASH tracks ({ representation, parts }, one part per period)
+ * concurrently and save them as one file: the video and audio tracks are
+ * muxed into an MP4, or a WebM for WebM representations.  If they cannot be
+ * muxed each track is saved as a file of its own.  For a clip (video.clip)
+ * only the segments that cover it are fetched.
+ */
+async function downloadDASHTracks(tracks, video, tabId) {
+  // Resolve every part up front so progress covers the whole download
+  for (const track of tracks) {
+    track.resolved = [];
+    for (const { representation, presentation } of track.parts) {
+      try {
+        track.resolved.push(await resolveDASHRepresentation(representation, presentation, tabId));
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+  }
+  if (video.clip) {
+    for (const track of tracks) {
+      const clipped = clipDASHParts(track.resolved, video.clip);
+      if (clipped.length === 0) return clipOutsideStream(track.resolved.flatMap(part => part.segments));
+      track.resolved = clipped;
+    }
+  }
+  const total = tracks.reduce((sum, track) =>
+    sum + track.resolved.reduce((n, part) => n + part.segments.length, 0), 0);
+  if (total === 0) return { error: 'No DASH segments found in manifest' };
+
+  let done = 0;
+  broadcastProgress(video.id, 0, total);
+  const onSegments = (count) => {
+    done += count;
+    broadcastProgress(video.id, done, total);
+  };
+  // The tracks share the connection budget
+  const concurrency = Math.ceil((settings.maxConcurrentDownloads || 3) / tracks.length);
+  const downloads = await Promise.all(
+    tracks.map(track => fetchDASHTrack(track.resolved, dashContainer(track.representation), tabId, concurrency, onSegments))
+  );
+  const spools = downloads.map(download => download.spool);
+  if (spools.some(spool => spool.chunks.length === 0)) {
+    await Promise.all(spools.map(spool => spool.remove()));
+    return { error: 'No DASH segments downloaded' };
+  }
+
+  const segmentCount = spools.reduce((sum, spool) => sum + spool.chunks.length, 0);
+  video = { ...video, duration: totalDuration(tracks[0].resolved.flatMap(part => part.segments)) };
+  const missing = downloads.reduce((sum, download) => sum + download.missing, 0);
+  const warning = downloads.some(download => download.initChanges > 0)
+    ? 'The periods are encoded differently; some players will stop after the first one'
+    : undefined;
+  const containers = tracks.map(track => dashContainer(track.representation));
+  const webm = containers[0] === 'webm';
+
+  if (tracks.length === 1) {
+    const audioOnly = tracks[0].representation.isAudio && !tracks[0].representation.isVideo;
+    let output = {
+      spool: spools[0],
+      type: `${audioOnly ? 'audio' : 'video'}/${webm ? 'webm' : 'mp4'}`,
+      ext: webm ? (audioOnly ? '.weba' : '.webm') : (audioOnly ? '.m4a' : '.mp4'),
+    };
+    // Segments of an audio representation make a poor M4A as they are
+    if (audioOnly && !webm) output = await audioMP4Output(spools[0]);
+    const downloadId = await saveSpool(output.spool, output.type, outputFilename(video, output.ext), video.saveAs);
+    if (output.spool !== spools[0]) await spools[0].remove();
+    const notes = [warning, audioOnly && webm && WEBM_AUDIO_WARNING].filter(Boolean);
+    return reportMissing({ ok: true, downloadId, segmentCount, warning: notes.join('; ') || undefined }, missing);
+  }
+
+  // ── Mux video and audio into one file ───────────────────────────────────
+  let muxError;
+  if (containers.every(container => container === containers[0])) {
+    try {
+      const output = await spoolParts(webm ? mergeWebM(spools) : mergeFragmentedMP4(spools));
+      const downloadId = await saveSpool(
+        output, webm ? 'video/webm' : 'video/mp4', outputFilename(video, webm ? '.webm' : '.mp4'), video.saveAs
+      );
+      await Promise.all(spools.map(spool => spool.remove()));
+      return reportMissing({ ok: true, downloadId, segmentCount, warning }, missing);
+    } catch (err) {
+      muxError = err.message;
+    }
+  } else {
+    muxError = 'the video and audio use different containers';
+  }
+
+  // ── Fallback: one file per track ────────────────────────────────────────
+  const videoName = outputFilename(video, containers[0] === 'webm' ? '_video.webm' : '_video.mp4');
+  const audioName = outputFilename(video, containers[1] === 'webm' ? '_audio.webm' : '_audio.m4a');
+  const downloadId = await saveSpool(spools[0], `video/${containers[0]}`, videoName, false);
+  const audioDownloadId = await saveSpool(spools[1], `audio/${containers[1]}`, audioName, false);
+  const output = containers.includes('webm') ? 'output.mkv' : 'output.mp4';
+  return reportMissing({
+    ok: true,
+    downloadId,
+    audioDownloadId,
+    segmentCount,
+    demuxed: true,
+    message: `Could not merge tracks (${muxError}). Saved as "${videoName}" and "${audioName}". Merge with: ffmpeg -i "${videoName}" -i "${audioName}" -c copy ${output}`,
+  }, missing);
+}
+
+/**
+ * Fetch one track, period by period, into a spool:
+ * { spool, initChanges, missing }, `missing` counting the segments that
+ * could not be downloaded.  Segments are validated as `container` ('mp4' or
+ * 'webm').  Fragment times of later periods are rebased to continue where
+ * the previous period ended.  `onSegments(count)` reports progress.
+ */
+async function fetchDASHTrack(resolved, container, tabId, concurrency, onSegments) {
+  const spool = await SpoolFile.create();
+  const stitching = resolved.length > 1;
+  let previousInit = null;
+  let initChanges = 0;
+  let elapsed = 0; // seconds of output before the current part
+  let missing = 0;
+
+  for (const part of resolved) {
+    const { init, segments, probing, fetchBytes } = part;
+    let deltas = null;
+    if (init) {
+      const initData = await withRetries(
+        async () => validateSegment(await fetchBytes(init.url, init.byteRange, tabId), container),
+        tabId
+      ).catch((err) => {
+        throw new Error(`Failed to fetch initialization segment: ${err.message}`);
+      });
+      // Consecutive periods usually share their init segment; write it once
+      if (!previousInit || !sameBytes(initData, previousInit)) {
+        if (previousInit) initChanges++;
+        await spool.append(initData);
+      }
+      previousInit = initData;
+      // A clip starts at 0 however far into the part it begins
+      const skipped = part.clipStart ?? 0;
+      if (stitching || skipped > 0) deltas = periodTimeDeltas(initData, part.presentationTimeOffset + skipped, elapsed);
+    }
+
+    // A file at its BaseURL, which may be large, goes straight to disk
+    if (part.wholeFile) {
+      await withRetries(() => spoolWholeFile(part.mirrors, tabId, spool), tabId).catch((err) => {
+        throw new Error(`Failed to download ${segments[0].url}: ${err.message}`);
+      });
+      onSegments(1);
+      elapsed += part.duration ?? segments[0].duration;
+      continue;
+    }
+
+    // Adjacent byte ranges of the same file are fetched in one Range request
+    const fetchSegment = createSegmentFetcher(segments, tabId, {
+      fetchBytes,
+      prepare: data => validateSegment(data, container),
+    });
+    let partDuration = 0;
+    const partMissing = await fetchSegmentsInOrder(fetchSegment, {
+      count: segments.length,
+      concurrency,
+      write: async (index, data) => {
+        // When probing, the first missing segment marks the end of the stream
+        if (probing && !data) return false;
+        partDuration += segments[index].duration;
+        if (data) await spool.append(deltas ? shiftFragmentTimes(data, deltas) : data);
+        onSegments(1);
+      },
+    });
+    if (!probing) missing += partMissing.length;
+    elapsed += part.duration ?? partDuration;
+  }
+
+  return { spool, initChanges, missing };
+}
+
+/**
+ * The parts of a track cut down to the segments that cover `clip`, on the
+ * timeline of the parts played one after another.  A kept part records the
+ * seconds it starts into the period as `clipStart`; a part that is a single
+ * file cannot be cut and is kept whole.  The segments are not trimmed, so the
+ * clip runs from segment boundary to segment boundary (the popup says so).
+ */
+function clipDASHParts(parts, clip) {
+  const clipped = [];
+  let elapsed = 0; // seconds of the stream before the current part
+  for (const part of parts) {
+    const start = Math.max(0, clip.start - elapsed);
+    const end = clip.end == null ? null : clip.end - elapsed;
+    const duration = part.duration ?? part.segments.reduce((sum, seg) => sum + seg.duration, 0);
+    elapsed += duration;
+    if (end !== null && end <= 0) break;
+    if (start >= duration) continue;
+    if (part.wholeFile) {
+      clipped.push(part);
+      continue;
+    }
+    const { segments, trim } = clipSegments(part.segments, { start, end });
+    if (segments.length === 0) continue;
+    // The part now lasts as long as its segments
+    clipped.push({ ...part, segments, duration: null, clipStart: start - trim.start });
+  }
+  return clipped;
+}
+
+/**
+ * Work out what to fetch for one period's representation:
+ * { init: { url, byteRange } | null, segments: [{ url, byteRange, duration }],
+ *   probing, presentationTimeOffset, duration, fetchBytes } with times in
+ * seconds.  `probing` marks a template list whose true end is unknown;
+ * `fetchBytes` fails over between the representation's BaseURLs.  A single
+ * file at its BaseURL is marked `wholeFile`, with the BaseURLs as `mirrors`.
+ */
+async function resolveDASHRepresentation(representation, presentation, tabId) {
+  const fetchBytes = createMirrorFetcher(representation.baseUrls);
+  const tmpl = representation.segmentTemplate;
+  if (tmpl?.media) {
+    let segments = resolveDASHSegments(representation, presentation);
+    // Fixed-duration segments, but neither the period nor the presentation
+    // says how long it is: probe until the first missing segment
+    const probing = segments === null;
+    if (probing) segments = resolveDASHSegments(representation, presentation, { until: MAX_PROBE_SECONDS });
+    return {
+      init: tmpl.initialization
+        ? { url: resolveUrl(representation.url, expandSegmentTemplate(tmpl.initialization, representation)), byteRange: null }
+        : null,
+      segments: segments.map(seg => ({ url: seg.url, byteRange: null, duration: seg.duration })),
+      probing,
+      presentationTimeOffset: tmpl.presentationTimeOffset / tmpl.timescale,
+      duration: presentation.periodDuration,
+      fetchBytes,
+    };
+  }
+
+  if (representation.segmentList) {
+    const list = representation.segmentList;
+    return {
+      init: list.initialization,
+      segments: list.segments,
+      probing: false,
+      presentationTimeOffset: list.presentationTimeOffset / list.timescale,
+      duration: presentation.periodDuration,
+      fetchBytes,
+    };
+  }
+
+  // A sidx-indexed SegmentBase is fetched in subsegments; WebM indexes its
+  // file with Cues instead, so it and plain BaseURL files come in one piece
+  const base = representation.segmentBase;
+  if (base && dashContainer(representation) === 'mp4') {
+    let index;
+    try {
+      index = await resolveSegmentBase(representation, tabId, fetchBytes);
+    } catch (err) {
+      throw new Error(`Failed to read DASH segment index: ${err.message}`);
+    }
+    return {
+      ...index,
+      probing: false,
+      presentationTimeOffset: base.presentationTimeOffset / base.timescale,
+      duration: presentation.periodDuration,
+      fetchBytes,
+    };
+  }
+
+  return {
+    init: null,
+    segments: [{ url: representation.url, byteRange: null, duration: presentation.periodDuration || 0 }],
+    wholeFile: true,
+    mirrors: representation.baseUrls,
+    probing: false,
+    presentationTimeOffset: base ? base.presentationTimeOffset / base.timescale : 0,
+    duration: presentation.periodDuration,
+    fetchBytes,
+  };
+}
+
+/**
+ * Per-track tfdt offsets (in each track's timescale) that move a period's
+ * media from its presentationTimeOffset to `elapsed` seconds into the output.
+ */
+function periodTimeDeltas(init, presentationTimeOffset, elapsed) {
+  const deltas = new Map();
+  for (const [trackId, timescale] of readTrackTimescales(init)) {
+    deltas.set(trackId, Math.round((elapsed - presentationTimeOffset) * timescale));
+  }
+  return deltas;
+}
+
+function sameBytes(a, b) {
+  if (a.byteLength !== b.byteLength) return false;
+  const x = new Uint8Array(a);
+  const y = new Uint8Array(b);
+  for (let i = 0; i < x.length; i++) {
+    if (x[i] !== y[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Turn a SegmentBase representation into byte-range subsegments by reading
+ * the sidx box at its indexRange.  References to further sidx boxes
+ * (hierarchical indexes) are followed in order.
+ */
+async function resolveSegmentBase(representation, tabId, fetchBytes = fetchSegmentBytes) {
+  const { indexRange, initialization } = representation.segmentBase;
+  const url = representation.url;
+  const segments = [];
+
+  const readIndex = async (byteRange) => {
+    const data = await fetchBytes(url, byteRange, tabId);
+    const sidx = parseSidx(new Uint8Array(data), byteRange.offset);
+    if (!sidx) throw new Error('no sidx box at the index range');
+    for (const ref of sidx.references) {
+      const range = { offset: ref.offset, length: ref.size };
+      if (ref.referenceType === 1) await readIndex(range);
+      else segments.push({ url, byteRange: range, duration: ref.duration / sidx.timescale });
+    }
+  };
+  await readIndex(indexRange);
+
+  return { init: initialization, segments };
+}
+
+// ── Stored Jobs ──────────────────────────────────────────────────────────────
+// HLS downloads are stored (lib/jobstore.js) so that they can be resumed
+// after the browser restarts or when they fail part way.  Each playlist is a
+// track with a spool of its own, whose checkpoint is saved every few segments
+// together with `next`, the first segment not in the spool yet.  Once a
+// segment is missing the checkpoint stays where it is, so a resumed download
+// starts again at the first missing segment.
+
+/**
+ * Run a download under the stored job that `open()` creates or loads.  The
+ * job is finished once the file is saved, kept (paused) when the download
+ * fails or is paused after it began storing segments, and removed otherwise.
+ */
+async function runStoredJob(entry, open, run) {
+  const stored = await open();
+  if (!stored) return { error: 'This download can no longer be resumed' };
+  entry.jobId = stored.id;
+
+  let result;
+  try {
+    result = await run(stored);
+  } catch (err) {
+    result = { error: err.message };
+  }
+  if (result.ok) {
+    await stored.finish();
+  } else if (!stored.state.playlists || entry.stop === 'cancel') {
+    await stored.remove();
+    entry.jobId = null;
+  } else {
+    await stored.save({ error: entry.stop === 'pause' ? 'Download paused' : result.error });
+  }
+  return result;
+}
+
+/**
+ * One playlist of a stored job: { name, spool, next, mapSegment, gap },
+ * where `mapSegment` is the segment whose init segment was written last.
+ */
+async function openTrack(stored, name) {
+  const saved = stored.state.tracks[name];
+  return {
+    name,
+    spool: await stored.spool(name),
+    next: saved ? saved.next : 0,
+    mapSegment: saved ? saved.mapSegment : -1,
+    gap: false,
+  };
+}
+
+// Segments written between two saved checkpoints of a track
+const CHECKPOINT_INTERVAL = 10;
+
+/**
+ * Save a track's checkpoint once segments up to `next` of `count` are in its
+ * spool, every CHECKPOINT_INTERVAL segments and after the last one.
+ */
+async function saveTrack(stored, track, next, count) {
+  if (track.gap || (next % CHECKPOINT_INTERVAL !== 0 && next < count)) return;
+  track.next = next;
+  stored.state.tracks[track.name] = { next, mapSegment: track.mapSegment, spool: track.spool.checkpoint() };
+  const done = Object.values(stored.state.tracks).reduce((sum, saved) => sum + saved.next, 0);
+  await stored.save({ done });
+}
+
+// ── MP4 Remuxing ─────────────────────────────────────────────────────────────
+// Raw MPEG-TS is rejected by most editors, phones and media libraries, so HLS
+// downloads are repackaged as fragmented MP4 (no re-encoding) by lib/mp4.js.
+
+/**
+ * Remux spooled MPEG-TS segments into a single fragmented MP4, written to a
+ * spool of its own, cut to `trim` (see TSRemuxer) for a clip and without
+ * video for `audioOnly`.  Throws if the segments carry no H.264/H.265/AAC
+ * stream.
+ */
+async function remuxToMP4(spool, trim = null, audioOnly = false) {
+  const remuxer = new TSRemuxer({ trim, audioOnly });
+  const output = await SpoolFile.create();
+  try {
+    for await (const { data } of spool.entries()) {
+      await output.write(...remuxer.push(data));
+    }
+    await output.write(...remuxer.flush());
+  } catch (err) {
+    await output.remove();
+    throw err;
+  }
+
+  return remuxer.hasVideo
+    ? { spool: output, type: 'video/mp4', ext: '.mp4' }
+    : { spool: output, type: 'audio/mp4', ext: '.m4a' };
+}
+
+/**
+ * An M4A of a spool of fMP4 audio (its init segment and fragments), which
+ * mergeFragmentedMP4() rebrands and clears of styp and sidx boxes.  If it
+ * cannot be merged, the spool is saved as it is.  The caller removes `spool`
+ * once the M4A is saved.
+ */
+async function audioMP4Output(spool) {
+  try {
+    const output = await spoolParts(mergeFragmentedMP4([spool]));
+    return { spool: output, type: 'audio/mp4', ext: '.m4a' };
+  } catch {
+    return { spool, type: 'audio/mp4', ext: '.m4a' };
+  }
+}
+
+/**
+ * Interleave separately downloaded video and audio segments into one MP4.
+ * Segments are fed in presentation order (by their #EXTINF start times) so
+ * the resulting fragments alternate between the tracks.  Each audio
+ * rendition becomes its own (alternate) audio track; the video segments'
+ * own audio is kept only when `muxedAudio` ({ language, name }) is given.
+ *
+ * @param {SpoolFile} videoSpool segments with their { duration }
+ * @param {Array<{ spool: SpoolFile, language, name }>} audioTracks
+ * @param {{ start, end }|null} trim a clip, from the first video segment on
+ */
+async function mergeToMP4(videoSpool, audioTracks, muxedAudio = null, trim = null) {
+  const inputs = [videoSpool, ...audioTracks.map(track => track.spool)];
+  const remuxer = new TSRemuxer({
+    sources: inputs.length,
+    audio: [muxedAudio, ...audioTracks.map(({ language, name }) => ({ language, name }))],
+    trim,
+  });
+  const output = await SpoolFile.create();
+  const next = inputs.map(() => 0);
+  const time = inputs.map(() => 0);
+
+  try {
+    for (;;) {
+      // Feed whichever input is furthest behind
+      let source = -1;
+      for (let i = 0; i < inputs.length; i++) {
+        if (next[i] < inputs[i].chunks.length && (source < 0 || time[i] < time[source])) source = i;
+      }
+      if (source < 0) break;
+      const chunk = inputs[source].chunks[next[source]++];
+      const data = await inputs[source].read(chunk.offset, chunk.length);
+      await output.write(...remuxer.push(data, source));
+      time[source] += chunk.duration;
+    }
+    await output.write(...remuxer.flush());
+
+    if (!remuxer.hasVideo) throw new Error('no video stream found');
+    if (!remuxer.hasAudio) throw new Error('no audio stream found');
+  } catch (err) {
+    await output.remove();
+    throw err;
+  }
+  return { spool: output, type: 'video/mp4', ext: '.mp4' };
+}
+
+// ── HLS AES-128 Decryption ───────────────────────────────────────────────────
+// Many paywall sites (Wondrium, Udemy, Pluralsight, etc.) encrypt HLS segments
+// with AES-128-CBC. Every segment carries the #EXT-X-KEY in effect for it, so
+// playlists that rotate keys or switch to METHOD=NONE mid-stream decrypt
+// correctly.
+
+/**
+ * Create a decrypt(data, key, sequence) function for one download job.
+ * Keys are fetched once per URI and imported once; any failure to fetch a
+ * key or decrypt a segment is a hard error — saving ciphertext would only
+ * produce a file that looks complete but cannot be played.
+ */
+function createSegmentDecryptor(tabId) {
+  const keys = new Map(); // Map<uri, Promise<CryptoKey>>
+
+  return async function decrypt(data, key, sequence) {
+    if (!key) return data;
+    if (key.method !== 'AES-128') throw new Error(`${key.method} encryption is not supported`);
+    if (!key.uri) throw new Error('Encryption key has no URI');
+
+    if (!keys.has(key.uri)) keys.set(key.uri, fetchDecryptionKey(key.uri, tabId));
+    return decryptSegment(data, await keys.get(key.uri), key.iv, sequence);
+  };
+}
+
+async function fetchDecryptionKey(uri, tabId) {
+  const resp = await authenticatedFetch(uri, tabId);
+  if (!resp.ok) throw new Error(`Failed to fetch decryption key: HTTP ${resp.status}`);
+  const raw = await resp.arrayBuffer();
+  if (raw.byteLength !== 16) {
+    throw new Error(`Invalid AES-128 key (${raw.byteLength} bytes) — authentication may have expired`);
+  }
+  return crypto.subtle.importKey('raw', raw, { name: 'AES-CBC' }, false, ['decrypt']);
+}
+
+async function decryptSegment(encryptedData, key, ivHex, sequence) {
+  // IV: use explicit IV if provided, otherwise the media sequence number
+  // as a 128-bit big-endian integer (per HLS spec)
+  const iv = new Uint8Array(16);
+  if (ivHex) {
+    const hex = ivHex.padStart(32, '0');
+    for (let i = 0; i < 16; i++) iv[i] = parseInt(hex.substr(i * 2, 2), 16);
+  } else {
+    const view = new DataView(iv.buffer);
+    view.setUint32(8, Math.floor(sequence / 4294967296));
+    view.setUint32(12, sequence >>> 0);
+  }
+
+  try {
+    return await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, key, encryptedData);
+  } catch {
+    // WebCrypto checks the PKCS#7 padding; a bad one means a wrong key or a corrupt segment
+    throw decryptionFailed(sequence);
+  }
+}
+
+function broadcastProgress(videoId, current, total) {
+  chrome.runtime.sendMessage({
+    action: 'downloadProgress',
+    videoId,
+    current,
+    total,
+    percent: Math.round((current / total) * 100),
+  }).catch(() => { /* popup may not be open */ });
+}
+
+/**
+ * The path to save a download of `video` under, from the filename template in
+ * the settings, ending in `suffix` (".mp4", "_audio.m4a").
+ */
+function outputFilename(video, suffix) {
+  return formatFilename(settings.filenameTemplate || '', filenameVariables(video), suffix);
+}
+
+// `video` as downloaded at an HLS variant or DASH representation, for its filename
+function atQuality(video, quality) {
+  let label = video.quality;
+  if (quality.height) label = `${quality.height}p`;
+  else if (quality.bandwidth) label = `${Math.round(quality.bandwidth / 1000)}kbps`;
+  return { ...video, quality: label, resolution: quality.resolution || video.resolution };
+}
+
+// Seconds of media in segments with a { duration }
+function totalDuration(segments) {
+  return segments.reduce((sum, seg) => sum + (seg.duration || 0), 0);
+}
+
+/**
+ * Save in-memory parts through chrome.downloads via a blob URL.  The URL is
+ * kept until the worker reports that the download has finished.
+ */
+async function saveBlob(parts, type, filename, saveAs) {
+  return saveBlobUrl(URL.createObjectURL(new Blob(parts, { type })), null, filename, saveAs);
+}
+
+/**
+ * Save a spool file the same way.  The blob refers to the file on disk, which
+ * is removed once the download has finished.
+ */
+async function saveSpool(spool, type, filename, saveAs) {
+  const file = await spool.close();
+  return saveBlobUrl(URL.createObjectURL(new Blob([file], { type })), spool, filename, saveAs);
+}
+
+async function saveBlobUrl(blobUrl, spool, filename, saveAs) {
+  blobUrls.set(blobUrl, spool);
+  try {
+    return await startDownload(blobUrl, filename, saveAs);
+  } catch (err) {
+    releaseBlob(blobUrl);
+    throw err;
+  }
+}
+
+/**
+ * Write the parts a muxer yields to a new spool file.
+ */
+async function spoolParts(parts) {
+  const spool = await SpoolFile.create();
+  try {
+    for await (const part of parts) await spool.write(part);
+  } catch (err) {
+    await spool.remove();
+    throw err;
+  }
+  return spool;
+}
+
+/**
+ * Stream a whole file into `spool` as one chunk, failing over between its
+ * `urls` (a representation's BaseURLs).  A text response or a body cut short
+ * is taken back out of the spool.
+ */
+async function spoolWholeFile(urls, tabId, spool) {
+  let lastError;
+  for (const url of urls) {
+    try {
+      const resp = await authenticatedFetch(url, tabId);
+      if (!resp.ok) throw responseError(resp);
+      await spool.append(checkedBody(resp));
+      return;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * chrome.downloads is not available in offscreen documents, so the worker
+ * starts the download.
+ */
+async function startDownload(url, filename, saveAs) {
+  const response = await chrome.runtime.sendMessage({ action: 'saveDownload', url, filename, saveAs });
+  if (!response || response.error) throw new Error(response?.error || 'Could not start the download');
+  return response.downloadId;
+}
+
+function releaseBlob(url) {
+  if (!blobUrls.has(url)) return;
+  const spool = blobUrls.get(url);
+  blobUrls.delete(url);
+  URL.revokeObjectURL(url);
+  if (spool) spool.remove();
+  reportIfIdle();
+}
+
+function broadcastRecording(recording) {
+  chrome.runtime.sendMessage({
+    action: 'recordingProgress',
+    videoId: recording.videoId,
+    elapsed: recording.elapsed,
+    segments: recording.segments,
+  }).catch(() => { /* popup may not be open */ });
+}
@@ -0,0 +1,47 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandSegmentTemplate, parseMPDPresentation } from '../lib/dash.js';
+
+const representation = { id: 'video=2500000', bandwidth: 2500000 };
+
+test('$Number$ and $Time$ are filled in, with a printf width', () => {
+  assert.equal(expandSegmentTemplate('seg-$Number%05d$.m4s', representation, 42, 0), 'seg-00042.m4s');
+  assert.equal(expandSegmentTemplate('seg-$Number$.m4s', representation, 42, 0), 'seg-42.m4s');
+  assert.equal(expandSegmentTemplate('$RepresentationID$/t$Time$.m4s', representation, 1, 180180), 'video=2500000/t180180.m4s');
+  assert.equal(expandSegmentTemplate('t$Time%012d$.m4s', representation, 1, 180180), 't000000180180.m4s');
+});
+
+test('$Bandwidth$, $$ and unknown identifiers', () => {
+  assert.equal(expandSegmentTemplate('$Bandwidth$/init.mp4', representation), '2500000/init.mp4');
+  assert.equal(expandSegmentTemplate('price$$.m4s', representation, 1, 0), 'price$.m4s');
+  assert.equal(expandSegmentTemplate('$Number$-$Time$.m4s', representation, 7), '7-$Time$.m4s');
+});
+
+const mpd = (attributes, periods) =>
+  `<?xml version="1.0"?><MPD xmlns="urn:mpeg:dash:schema:mpd:2011" ${attributes}>${periods}</MPD>`;
+
+test('xs:durations are read in seconds', () => {
+  const presentation = parseMPDPresentation(mpd(
+    'type="dynamic" mediaPresentationDuration="PT1H2M3.5S" timeShiftBufferDepth="PT30S" minimumUpdatePeriod="P0Y0M0DT0H0M2S"',
+    '<Period start="PT0S" duration="P1DT12H"/>',
+  ));
+  assert.equal(presentation.dynamic, true);
+  assert.equal(presentation.mediaPresentationDuration, 3723.5);
+  assert.equal(presentation.timeShiftBufferDepth, 30);
+  assert.equal(presentation.minimumUpdatePeriod, 2);
+  assert.equal(presentation.periodDuration, 129600);
+});
+
+test('the period duration falls back to the next period or the presentation', () => {
+  const twoPeriods = parseMPDPresentation(mpd('', '<Period start="PT10S"/><Period start="PT1M"/>'));
+  assert.equal(twoPeriods.periodStart, 10);
+  assert.equal(twoPeriods.periodDuration, 50);
+
+  const onePeriod = parseMPDPresentation(mpd('mediaPresentationDuration="PT2M"', '<Period/>'));
+  assert.equal(onePeriod.periodDuration, 120);
+
+  const unknown = parseMPDPresentation(mpd('mediaPresentationDuration="soon"', '<Period/>'));
+  assert.equal(unknown.mediaPresentationDuration, null);
+  assert.equal(unknown.periodDuration, null);
+});
@@ -0,0 +1,92 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeFilename, formatFilename, filenameVariables } from '../lib/filename.js';
+
+const variables = {
+  title: 'Episode 1',
+  quality: '720p',
+  resolution: '1280x720',
+  duration: '',
+  date: '2026-10-18',
+  domain: 'www.bbc.co.uk',
+  site: 'bbc',
+  id: 'abc',
+  n: '03',
+};
+
+test('sanitizeFilename replaces characters chrome.downloads rejects', () => {
+  assert.equal(sanitizeFilename('a<b>c:d"e/f\\g|h?i*j'), 'a_b_c_d_e_f_g_h_i_j');
+  assert.equal(sanitizeFilename('  two   spaces  '), 'two spaces');
+});
+
+test('the template is filled in and followed by the suffix', () => {
+  assert.equal(formatFilename('{title} - {quality}', variables, '.mp4'), 'Episode 1 - 720p.mp4');
+  assert.equal(formatFilename('{n}. {title}', variables, '_audio.m4a'), '03. Episode 1_audio.m4a');
+});
+
+test('an empty template falls back to the title', () => {
+  assert.equal(formatFilename('  ', variables, '.mp4'), 'Episode 1.mp4');
+});
+
+test('an empty variable takes the separator before it along', () => {
+  assert.equal(formatFilename('{title} - {duration}', variables, '.mp4'), 'Episode 1.mp4');
+  assert.equal(formatFilename('{title} [{duration}]', variables, '.mp4'), 'Episode 1.mp4');
+});
+
+test('unknown variables are kept as typed', () => {
+  assert.equal(formatFilename('{title} {nope}', variables, '.mp4'), 'Episode 1 {nope}.mp4');
+});
+
+test('{ext} is the extension of the suffix, and a trailing .{ext} is not doubled', () => {
+  assert.equal(formatFilename('{title} ({ext})', variables, '.mp4'), 'Episode 1 (mp4).mp4');
+  assert.equal(formatFilename('{title}.{ext}', variables, '.m4a'), 'Episode 1.m4a');
+});
+
+test('/ makes subfolders, each made safe on its own', () => {
+  assert.equal(formatFilename('{site}/{date}/{title}', variables, '.mp4'), 'bbc/2026-10-18/Episode 1.mp4');
+  assert.equal(formatFilename('a:b/{title}', variables, '.mp4'), 'a_b/Episode 1.mp4');
+});
+
+test('a / in a value does not make a subfolder', () => {
+  assert.equal(formatFilename('{title}', { ...variables, title: 'AC/DC' }, '.mp4'), 'AC_DC.mp4');
+});
+
+test('.. and empty folders are dropped, so the path stays under Downloads', () => {
+  assert.equal(formatFilename('../{title}', variables, '.mp4'), 'Episode 1.mp4');
+  assert.equal(formatFilename('/{site}//../../{title}', variables, '.mp4'), 'bbc/Episode 1.mp4');
+  assert.equal(formatFilename('{site}/..', variables, '.mp4'), 'bbc.mp4');
+  assert.equal(formatFilename('{title}', { ...variables, title: '..' }, '.mp4'), 'video.mp4');
+});
+
+test('long names are cut to leave room for the suffix', () => {
+  const name = formatFilename('{title}', { ...variables, title: 'x'.repeat(300) }, '.mp4');
+  assert.equal(name.length, 200);
+  assert.ok(name.endsWith('x.mp4'));
+});
+
+test('filenameVariables describes a detected video', () => {
+  const values = filenameVariables({
+    id: 'v1',
+    filename: 'master.m3u8',
+    pageUrl: 'https://player.vimeo.com/video/1',
+    quality: '1080p',
+    duration: 3723,
+    number: 4,
+  }, new Date(2026, 0, 5));
+  assert.equal(values.title, 'master');
+  assert.equal(values.duration, '1h02m03s');
+  assert.equal(values.date, '2026-01-05');
+  assert.equal(values.domain, 'player.vimeo.com');
+  assert.equal(values.site, 'vimeo');
+  assert.equal(values.n, '04');
+});
+
+test('the site of a second-level domain is the name before it', () => {
+  assert.equal(filenameVariables({ pageUrl: 'https://www.bbc.co.uk/iplayer' }).site, 'bbc');
+  assert.equal(filenameVariables({ pageUrl: 'http://127.0.0.1:8080/' }).site, '127.0.0.1');
+});
+
+test('an unknown quality is left out', () => {
+  assert.equal(filenameVariables({ quality: 'Unknown' }).quality, '');
+});
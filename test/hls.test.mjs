@@ -0,0 +1,53 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseM3U8Segments, mapKey } from '../lib/hls.js';
+
+const BASE = 'https://cdn.example/show/media.m3u8';
+
+test('segments after #EXT-X-DISCONTINUITY are marked', () => {
+  const segments = parseM3U8Segments([
+    '#EXTM3U',
+    '#EXT-X-MEDIA-SEQUENCE:10',
+    '#EXTINF:4,', 'a.ts',
+    '#EXT-X-DISCONTINUITY',
+    '#EXTINF:4,', 'ad.ts',
+    '#EXTINF:4,', 'ad2.ts',
+    '#EXT-X-ENDLIST',
+  ].join('\n'), BASE);
+  assert.deepEqual(segments.map(seg => seg.discontinuity), [false, true, false]);
+  assert.deepEqual(segments.map(seg => seg.sequence), [10, 11, 12]);
+});
+
+test('a repeated #EXT-X-MAP keeps the same map', () => {
+  const segments = parseM3U8Segments([
+    '#EXTM3U',
+    '#EXT-X-MAP:URI="init.mp4"',
+    '#EXTINF:4,', 'a.m4s',
+    '#EXT-X-DISCONTINUITY',
+    '#EXT-X-MAP:URI="init.mp4"',
+    '#EXTINF:4,', 'b.m4s',
+    '#EXT-X-DISCONTINUITY',
+    '#EXT-X-MAP:URI="ad-init.mp4"',
+    '#EXTINF:4,', 'ad.m4s',
+  ].join('\n'), BASE);
+  assert.equal(segments[0].map, segments[1].map);
+  assert.notEqual(segments[2].map, segments[1].map);
+  assert.equal(segments[2].map.url, 'https://cdn.example/show/ad-init.mp4');
+});
+
+test('maps are told apart by byte range', () => {
+  const segments = parseM3U8Segments([
+    '#EXTM3U',
+    '#EXT-X-MAP:URI="all.mp4",BYTERANGE="720@0"',
+    '#EXTINF:4,', 'a.m4s',
+    '#EXT-X-MAP:URI="all.mp4",BYTERANGE="720@0"',
+    '#EXTINF:4,', 'b.m4s',
+    '#EXT-X-MAP:URI="all.mp4",BYTERANGE="800@720"',
+    '#EXTINF:4,', 'c.m4s',
+  ].join('\n'), BASE);
+  assert.equal(segments[0].map, segments[1].map);
+  assert.notEqual(segments[1].map, segments[2].map);
+  assert.equal(mapKey(segments[2].map), 'https://cdn.example/show/all.mp4@720+800');
+  assert.equal(mapKey({ url: 'https://cdn.example/init.mp4', byteRange: null }), 'https://cdn.example/init.mp4');
+});
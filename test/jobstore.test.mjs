@@ -0,0 +1,25 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withoutCredentials } from '../lib/jobstore.js';
+
+test('stored jobs keep only the referer and origin of their headers', () => {
+  const state = withoutCredentials({
+    id: 'job',
+    headers: { cookie: 'session=1', authorization: 'Bearer t', referer: 'https://site/page', origin: 'https://site' },
+  });
+  assert.deepEqual(state.headers, { referer: 'https://site/page', origin: 'https://site' });
+});
+
+test('stored jobs drop the response headers a video was detected with', () => {
+  const video = {
+    id: 'v',
+    url: 'https://cdn/master.m3u8',
+    headers: { 'set-cookie': 'session=1; HttpOnly', 'x-auth-token': 'secret', 'content-type': 'application/x-mpegurl' },
+  };
+  const json = JSON.stringify(withoutCredentials({ id: 'job', video, headers: {} }));
+  assert.doesNotMatch(json, /set-cookie|secret/i);
+  assert.equal(JSON.parse(json).video.url, video.url);
+  // The running download keeps its own copy
+  assert.ok(video.headers['set-cookie']);
+});
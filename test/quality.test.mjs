@@ -0,0 +1,38 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickPreferredQuality } from '../lib/quality.js';
+
+// Sorted by bandwidth, highest first, as the parsers list them
+const qualities = [
+  { label: '1080p', height: 1080, bandwidth: 6000000 },
+  { label: '720p high', height: 720, bandwidth: 3500000 },
+  { label: '720p', height: 720, bandwidth: 2500000 },
+  { label: '480p', height: 480, bandwidth: 1200000 },
+  { label: 'audio', height: 0, bandwidth: 128000 },
+];
+
+test('highest and lowest take the ends of the list, skipping audio-only', () => {
+  assert.equal(pickPreferredQuality(qualities, 'highest').label, '1080p');
+  assert.equal(pickPreferredQuality(qualities, 'lowest').label, '480p');
+});
+
+test('an exact height takes its highest bandwidth', () => {
+  assert.equal(pickPreferredQuality(qualities, '720p').label, '720p high');
+});
+
+test('the closest height is taken, the lower one on a tie', () => {
+  assert.equal(pickPreferredQuality(qualities, '1440p').label, '1080p');
+  assert.equal(pickPreferredQuality(qualities, '360p').label, '480p');
+  // 600 is 120 from both 480 and 720
+  assert.equal(pickPreferredQuality(qualities, '600p').label, '480p');
+  // 900 is 180 from both 720 and 1080
+  assert.equal(pickPreferredQuality(qualities, '900p').label, '720p high');
+});
+
+test('audio-only variants are picked only when nothing else is listed', () => {
+  const audio = [{ label: 'aac hi', height: 0, bandwidth: 192000 }, { label: 'aac lo', height: 0, bandwidth: 64000 }];
+  assert.equal(pickPreferredQuality(audio, '720p').label, 'aac hi');
+  assert.equal(pickPreferredQuality(audio, 'lowest').label, 'aac lo');
+  assert.equal(pickPreferredQuality([], 'highest'), null);
+});
@@ -0,0 +1,39 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSegment } from '../lib/validate.js';
+
+// `count` empty TS packets followed by `tail` bytes of one cut short
+function tsPackets(count, tail = 0) {
+  const bytes = new Uint8Array(count * 188 + tail);
+  for (let i = 0; i < bytes.length; i += 188) bytes[i] = 0x47;
+  return bytes;
+}
+
+test('whole TS packets pass', () => {
+  const bytes = tsPackets(10);
+  assert.equal(validateSegment(bytes, 'ts'), bytes);
+});
+
+test('a short tail after the last whole packet passes', () => {
+  assert.doesNotThrow(() => validateSegment(tsPackets(10, 100), 'ts'));
+  assert.doesNotThrow(() => validateSegment(tsPackets(1, 50), 'ts'));
+});
+
+test('a missing sync byte in the first packets is rejected', () => {
+  const bytes = tsPackets(10);
+  bytes[376] = 0;
+  assert.throws(() => validateSegment(bytes, 'ts'), { invalid: 'format', message: /offset 376/ });
+  assert.throws(() => validateSegment(new Uint8Array(400), 'ts'), { invalid: 'format', message: /offset 0/ });
+});
+
+test('packed audio passes as TS', () => {
+  const bytes = new Uint8Array(300);
+  bytes.set([0x49, 0x44, 0x33, 0x04]); // ID3v2.4
+  assert.doesNotThrow(() => validateSegment(bytes, 'ts'));
+});
+
+test('an HTML page is rejected', () => {
+  const page = new TextEncoder().encode('<!DOCTYPE html><html><body>Sign in</body></html>');
+  assert.throws(() => validateSegment(page, 'ts'), { invalid: 'html' });
+});
@@ -0,0 +1,42 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stitchWebVTT, formatWebVTT, formatSRT } from '../lib/webvtt.js';
+
+const segment = (map, ...cues) => ['WEBVTT', map && `X-TIMESTAMP-MAP=${map}`].filter(Boolean).join('\n')
+  + '\n\n' + cues.join('\n\n') + '\n';
+
+const times = ({ cues }) => cues.map(cue => [cue.start, cue.end, cue.text]);
+
+test('cue times are moved onto the MPEG clock and start with the first segment', () => {
+  const stitched = stitchWebVTT([
+    segment('LOCAL:00:00:00.000,MPEGTS:900000', '00:00.500 --> 00:02.000\nFirst'),
+    segment('LOCAL:00:00:00.000,MPEGTS:1440000', '00:01.000 --> 00:02.500\nSecond'),
+    segment('MPEGTS:1980000,LOCAL:00:00:10.000', '00:10.000 --> 00:11.000\nThird'),
+  ]);
+  assert.deepEqual(times(stitched), [[0.5, 2, 'First'], [7, 8.5, 'Second'], [12, 13, 'Third']]);
+});
+
+test('a cue repeated across a segment boundary is kept once', () => {
+  const stitched = stitchWebVTT([
+    segment('LOCAL:00:00:00.000,MPEGTS:90000', '00:05.000 --> 00:07.000\nAcross'),
+    segment('LOCAL:00:00:06.000,MPEGTS:630000', '00:05.000 --> 00:07.000\nAcross', '00:07.000 --> 00:08.000\nNext'),
+  ]);
+  assert.deepEqual(times(stitched), [[5, 7, 'Across'], [7, 8, 'Next']]);
+});
+
+test('MPEGTS wrapping past 2^33 keeps the timeline going', () => {
+  const stitched = stitchWebVTT([
+    segment('LOCAL:00:00:00.000,MPEGTS:8589844592', '00:00.000 --> 00:00.500\nBefore'), // 1 s before the wrap
+    segment('LOCAL:00:00:00.000,MPEGTS:90000', '00:00.000 --> 00:00.500\nAfter'), // 1 s after it
+  ]);
+  assert.deepEqual(times(stitched), [[0, 0.5, 'Before'], [2, 2.5, 'After']]);
+});
+
+test('the stitched track is written as WebVTT and SRT', () => {
+  const stitched = stitchWebVTT([
+    segment('LOCAL:00:00:00.000,MPEGTS:900000', '1\n00:01.000 --> 00:02.250 line:90%\n<v Ann>Hello &amp; <i>bye</i>'),
+  ]);
+  assert.equal(formatWebVTT(stitched), 'WEBVTT\n\n00:00:01.000 --> 00:00:02.250 line:90%\n<v Ann>Hello &amp; <i>bye</i>\n');
+  assert.equal(formatSRT(stitched), '1\n00:00:01,000 --> 00:00:02,250\nHello & <i>bye</i>\n');
+});
@@ -1,8 +1,11 @@
 /**
  * VideoMancer - Options Page Script
- * Manages settings persistence via chrome.storage.sync
+ * Manages settings persistence via chrome.storage.sync, and previews the
+ * filename template as it is typed.
  */
 
+import { formatFilename, filenameVariables } from '../lib/filename.js';
+
 (function () {
   'use strict';
 
@@ -34,19 +37,47 @@
     showNotifications: true,
     preferredQuality: 'highest',
     maxConcurrentDownloads: 3,
+    maxConcurrentJobs: 2,
     minSize: 100,
     filenameTemplate: '{title} - {quality}',
+    filenameConflict: 'uniquify',
+    hlsOutputFormat: 'mp4',
+    recordFromStart: false,
+    subtitleFormat: 'vtt',
+    preferredAudioLanguage: '',
+    skipAdPeriods: false,
     blacklistedDomains: [],
   };
 
+  // What the filename template preview is filled in with
+  const SAMPLE_VIDEO = {
+    id: 'm4k2x9',
+    url: 'https://cdn.example.com/hls/master.m3u8',
+    filename: 'master.m3u8',
+    pageUrl: 'https://www.example.com/watch/42',
+    pageTitle: 'Big Buck Bunny',
+    quality: '1080p',
+    resolution: '1920x1080',
+    duration: 596,
+    number: 3,
+  };
+
   // ── DOM Elements ───────────────────────────────────────────────────────
 
   const autoDetect = document.getElementById('auto-detect');
   const showNotifications = document.getElementById('show-notifications');
   const preferredQuality = document.getElementById('preferred-quality');
   const maxConcurrent = document.getElementById('max-concurrent');
+  const maxConcurrentJobs = document.getElementById('max-concurrent-jobs');
   const minSize = document.getElementById('min-size');
   const filenameTemplate = document.getElementById('filename-template');
+  const filenamePreview = document.getElementById('filename-preview');
+  const filenameConflict = document.getElementById('filename-conflict');
+  const hlsOutputFormat = document.getElementById('hls-output-format');
+  const recordFromStart = document.getElementById('record-from-start');
+  const subtitleFormat = document.getElementById('subtitle-format');
+  const preferredAudioLanguage = document.getElementById('preferred-audio-language');
+  const skipAdPeriods = document.getElementById('skip-ad-periods');
   const blacklist = document.getElementById('blacklist');
   const btnSave = document.getElementById('btn-save');
   const btnReset = document.getElementById('btn-reset');
@@ -64,8 +95,16 @@
       showNotifications.checked = s.showNotifications;
       preferredQuality.value = s.preferredQuality;
       maxConcurrent.value = String(s.maxConcurrentDownloads);
+      maxConcurrentJobs.value = String(s.maxConcurrentJobs);
       minSize.value = s.minSize / 1024; // stored in bytes, display in KB
       filenameTemplate.value = s.filenameTemplate;
+      filenameConflict.value = s.filenameConflict;
+      previewFilename();
+      hlsOutputFormat.value = s.hlsOutputFormat;
+      recordFromStart.checked = s.recordFromStart;
+      subtitleFormat.value = s.subtitleFormat;
+      preferredAudioLanguage.value = s.preferredAudioLanguage;
+      skipAdPeriods.checked = s.skipAdPeriods;
       blacklist.value = (s.blacklistedDomains || []).join('\n');
     });
   }
@@ -78,8 +117,15 @@
       showNotifications: showNotifications.checked,
       preferredQuality: preferredQuality.value,
       maxConcurrentDownloads: parseInt(maxConcurrent.value, 10),
+      maxConcurrentJobs: parseInt(maxConcurrentJobs.value, 10),
       minSize: (parseInt(minSize.value, 10) || 100) * 1024, // KB to bytes
       filenameTemplate: filenameTemplate.value || DEFAULTS.filenameTemplate,
+      filenameConflict: filenameConflict.value,
+      hlsOutputFormat: hlsOutputFormat.value,
+      recordFromStart: recordFromStart.checked,
+      subtitleFormat: subtitleFormat.value,
+      preferredAudioLanguage: preferredAudioLanguage.value.trim(),
+      skipAdPeriods: skipAdPeriods.checked,
       blacklistedDomains: blacklist.value
         .split('\n')
         .map(d => d.trim())
@@ -93,6 +139,13 @@
     });
   }
 
+  // ── Filename Preview ───────────────────────────────────────────────────
+
+  function previewFilename() {
+    const template = filenameTemplate.value || DEFAULTS.filenameTemplate;
+    filenamePreview.textContent = `e.g. ${formatFilename(template, filenameVariables(SAMPLE_VIDEO), '.mp4')}`;
+  }
+
   // ── Reset ──────────────────────────────────────────────────────────────
 
   function resetSettings() {
@@ -107,6 +160,7 @@
   // ── Event Listeners ────────────────────────────────────────────────────
 
   btnSave.addEventListener('click', saveSettings);
+  filenameTemplate.addEventListener('input', previewFilename);
   btnReset.addEventListener('click', resetSettings);
 
   btnAddAdDomains.addEventListener('click', () => {
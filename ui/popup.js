@@ -1,18 +1,36 @@
 /**
  * VideoMancer - Popup Script
  * Manages the popup UI: displays detected videos, handles downloads,
- * and shows quality selection for HLS/DASH streams.
+ * and shows quality selection for HLS/DASH streams, which are otherwise
+ * downloaded at the preferred quality.  The download queue, kept by the
+ * worker for all tabs, is shown above the videos.  Interrupted
+ * HLS downloads are listed as paused until they are resumed or discarded.
+ * An HLS/DASH card can be given a time range to download only a clip, or
+ * have only its audio saved.
  */
 
 (function () {
   'use strict';
 
   let currentTabId = null;
+  let settings = {};
   let videos = [];
   let downloadingIds = new Set();
+  // videoId → { elapsed, segments } for live recordings in progress
+  let recordings = new Map();
+  // Stored downloads that are not running: { id, filename, type, done, total, error }
+  let pausedJobs = [];
+  // The worker's download queue: { id, videoId, filename, type, state, stop }
+  let queue = [];
+  // videoId → latest progress text, kept across queue renders
+  let queueProgress = new Map();
+  // videoId → { start, end } as typed into an open clip range
+  let clips = new Map();
 
   // ── DOM Elements ───────────────────────────────────────────────────────
 
+  const queuePanel = document.getElementById('queue');
+  const queueList = document.getElementById('queue-list');
   const videoList = document.getElementById('video-list');
   const emptyState = document.getElementById('empty-state');
   const statusText = document.getElementById('status-text');
@@ -29,6 +47,10 @@
     if (!tab) return;
     currentTabId = tab.id;
 
+    chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+      if (response && response.settings) settings = response.settings;
+    });
+
     loadVideos();
     setupListeners();
   }
@@ -43,6 +65,28 @@
         }
       }
     );
+
+    chrome.runtime.sendMessage({ action: 'getQueue' }, (response) => {
+      if (!response || !response.queue) return;
+      queue = response.queue;
+      renderQueue();
+    });
+
+    // Downloads interrupted by an error or a browser restart, from any tab
+    chrome.runtime.sendMessage({ action: 'getPausedJobs' }, (response) => {
+      if (!response || !response.jobs) return;
+      pausedJobs = response.jobs.filter(job => !downloadingIds.has(job.id));
+      render();
+    });
+
+    // Recordings keep running in the background while the popup is closed
+    chrome.runtime.sendMessage({ action: 'getRecordings' }, (response) => {
+      if (!response || !response.recordings) return;
+      for (const r of response.recordings) {
+        recordings.set(r.videoId, r);
+        markRecording(r.videoId);
+      }
+    });
   }
 
   function setupListeners() {
@@ -70,6 +114,21 @@
       if (msg.action === 'downloadProgress') {
         updateProgress(msg.videoId, msg.percent, msg.current, msg.total);
       }
+      if (msg.action === 'queueChanged') {
+        queue = msg.queue;
+        renderQueue();
+      }
+      if (msg.action === 'recordingProgress' && recordings.has(msg.videoId)) {
+        recordings.set(msg.videoId, msg);
+        updateRecording(msg.videoId);
+      }
+      // HLS/DASH jobs run in the offscreen document and report back here
+      if (msg.action === 'jobFinished') {
+        if (msg.job === 'startRecording') finishRecording(msg.videoId, msg.result);
+        else if (msg.job === 'downloadVideo') finishDownload(msg.videoId, msg.result);
+        else if (msg.job === 'resumeDownload') finishResume(msg.videoId, msg.result);
+        else showResult(msg.videoId, msg.result);
+      }
     });
   }
 
@@ -81,7 +140,7 @@
     statusText.textContent = count > 0 ? 'Videos found on this page' : 'No videos detected';
     btnDownloadAll.disabled = count === 0;
 
-    if (count === 0) {
+    if (count === 0 && pausedJobs.length === 0) {
       emptyState.style.display = 'flex';
       // Remove all video cards
       videoList.querySelectorAll('.video-card').forEach(c => c.remove());
@@ -93,10 +152,16 @@
     // Clear existing cards
     videoList.querySelectorAll('.video-card').forEach(c => c.remove());
 
+    // Paused downloads come first
+    for (const job of pausedJobs) {
+      videoList.appendChild(createPausedCard(job));
+    }
+
     // Render video cards
     for (const video of videos) {
       const card = createVideoCard(video);
       videoList.appendChild(card);
+      if (recordings.has(video.id)) markRecording(video.id);
     }
   }
 
@@ -108,6 +173,7 @@
 
     const displayName = truncate(video.filename || 'Unknown video', 60);
     const typeClass = video.type || 'direct';
+    const segmented = video.type === 'hls' || video.type === 'dash';
 
     card.innerHTML = `
       <div class="video-card-header">
@@ -127,8 +193,20 @@
           </svg>
           Download
         </button>
+        ${segmented ? `<button class="btn-quality" title="Choose quality…">Quality&hellip;</button>` : ''}
+        ${segmented ? `<button class="btn-record" data-video-id="${video.id}" title="Record live stream">&#9679; Record</button>` : ''}
+        ${segmented ? `<button class="btn-clip" title="Download a time range">&#9986; Clip</button>` : ''}
+        ${segmented ? `<button class="btn-audio" title="Download the audio only, as M4A (WebM audio as .weba)">&#9835; Audio</button>` : ''}
         <button class="btn-remove" data-video-id="${video.id}" title="Remove">&times;</button>
       </div>
+      ${segmented ? `
+      <div class="clip-range" hidden>
+        <label>From <input class="clip-start" type="text" placeholder="0:00" spellcheck="false"></label>
+        <button class="btn-clip-now" data-field="start" title="Use the playback position">Now</button>
+        <label>To <input class="clip-end" type="text" placeholder="end" spellcheck="false"></label>
+        <button class="btn-clip-now" data-field="end" title="Use the playback position">Now</button>
+        ${video.type === 'dash' ? `<span class="clip-note">DASH clips are cut at segment boundaries, so they may start and end a few seconds outside the range</span>` : ''}
+      </div>` : ''}
       <div class="progress-container" id="progress-${video.id}">
         <div class="progress-bar">
           <div class="progress-bar-fill" id="progress-fill-${video.id}"></div>
@@ -143,68 +221,299 @@
       downloadVideo(video);
     });
 
+    // Choose quality… (HLS/DASH): the picker the Download button skips
+    const btnQuality = card.querySelector('.btn-quality');
+    if (btnQuality) {
+      btnQuality.addEventListener('click', (e) => {
+        e.stopPropagation();
+        chooseQuality(video);
+      });
+    }
+
+    // Record / Stop button (live HLS/DASH)
+    const btnRecord = card.querySelector('.btn-record');
+    if (btnRecord) {
+      btnRecord.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (recordings.has(video.id)) {
+          stopRecording(video.id);
+        } else {
+          recordVideo(video);
+        }
+      });
+    }
+
+    // Audio button (HLS/DASH): the best audio track alone, no quality to pick
+    const btnAudio = card.querySelector('.btn-audio');
+    if (btnAudio) {
+      btnAudio.addEventListener('click', (e) => {
+        e.stopPropagation();
+        downloadVideo({ ...video, audioOnly: true });
+      });
+    }
+
     // Remove button
     card.querySelector('.btn-remove').addEventListener('click', (e) => {
       e.stopPropagation();
       removeVideo(video.id);
     });
 
+    if (segmented) setupClipRange(card, video.id);
+
     return card;
   }
 
-  // ── Download ───────────────────────────────────────────────────────────
+  // The Clip button opens the card's time range; what is typed survives re-renders
+  function setupClipRange(card, videoId) {
+    const btnClip = card.querySelector('.btn-clip');
+    const range = card.querySelector('.clip-range');
+    const inputs = {
+      start: range.querySelector('.clip-start'),
+      end: range.querySelector('.clip-end'),
+    };
+
+    const show = () => {
+      const clip = clips.get(videoId);
+      range.hidden = !clip;
+      btnClip.classList.toggle('active', !!clip);
+      inputs.start.value = clip ? clip.start : '';
+      inputs.end.value = clip ? clip.end : '';
+    };
+    show();
+
+    btnClip.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (clips.has(videoId)) clips.delete(videoId);
+      else clips.set(videoId, { start: '', end: '' });
+      show();
+      if (clips.has(videoId)) inputs.start.focus();
+    });
 
-  async function downloadVideo(video) {
-    if (downloadingIds.has(video.id)) return;
+    for (const [field, input] of Object.entries(inputs)) {
+      input.addEventListener('input', () => {
+        clips.get(videoId)[field] = input.value;
+      });
+    }
 
-    // For HLS/DASH, first check for quality options
-    if (video.type === 'hls') {
-      await handleHLSDownload(video);
-      return;
+    range.querySelectorAll('.btn-clip-now').forEach((button) => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const field = button.dataset.field;
+        chrome.tabs.sendMessage(currentTabId, { action: 'getPlaybackPosition' }, (response) => {
+          if (chrome.runtime.lastError || !response) {
+            showError(videoId, 'No video is playing on the page');
+            return;
+          }
+          const clip = clips.get(videoId);
+          if (!clip) return;
+          clip[field] = formatElapsed(response.currentTime);
+          inputs[field].value = clip[field];
+        });
+      });
+    });
+  }
+
+  function createPausedCard(job) {
+    const card = document.createElement('div');
+    card.className = 'video-card paused';
+    card.dataset.videoId = job.id;
+    if (downloadingIds.has(job.id)) card.classList.add('downloading');
+
+    const percent = job.total > 0 ? Math.round((job.done / job.total) * 100) : 0;
+
+    card.innerHTML = `
+      <div class="video-card-header">
+        <div class="video-filename" title="${escapeHtml(job.filename || '')}">${escapeHtml(truncate(job.filename || 'Unknown video', 60))}</div>
+        <span class="video-type-badge paused">paused</span>
+      </div>
+      <div class="video-meta">
+        <span>${percent}% (${job.done}/${job.total} segments)</span>
+        ${job.error ? `<span title="${escapeHtml(job.error)}">${escapeHtml(truncate(job.error, 40))}</span>` : ''}
+      </div>
+      <div class="video-actions">
+        <button class="btn-download" data-video-id="${job.id}">&#9654; Resume</button>
+        <button class="btn-remove" data-video-id="${job.id}" title="Discard">&times;</button>
+      </div>
+      <div class="progress-container" id="progress-${job.id}">
+        <div class="progress-bar">
+          <div class="progress-bar-fill" id="progress-fill-${job.id}"></div>
+        </div>
+        <div class="progress-text" id="progress-text-${job.id}">0%</div>
+      </div>
+    `;
+
+    card.querySelector('.btn-download').addEventListener('click', (e) => {
+      e.stopPropagation();
+      resumeJob(job);
+    });
+
+    card.querySelector('.btn-remove').addEventListener('click', (e) => {
+      e.stopPropagation();
+      discardJob(job.id);
+    });
+
+    return card;
+  }
+
+  // ── Queue ──────────────────────────────────────────────────────────────
+
+  const QUEUE_STATES = {
+    queued: 'Queued',
+    running: 'Downloading',
+    paused: 'Paused',
+  };
+
+  function renderQueue() {
+    queuePanel.hidden = queue.length === 0;
+    queueList.innerHTML = '';
+    queue.forEach((entry, index) => {
+      queueList.appendChild(createQueueRow(entry, index));
+    });
+  }
+
+  function createQueueRow(entry, index) {
+    const row = document.createElement('div');
+    row.className = `queue-entry ${entry.state}`;
+    row.dataset.queueId = entry.id;
+
+    let state = QUEUE_STATES[entry.state];
+    if (entry.stop) state = entry.stop === 'pause' ? 'Pausing...' : 'Cancelling...';
+    const waiting = entry.state !== 'running';
+
+    row.innerHTML = `
+      <div class="queue-name" title="${escapeHtml(entry.filename || '')}">${escapeHtml(truncate(entry.filename || 'Unknown video', 40))}</div>
+      <span class="queue-state">${state}</span>
+      <span class="queue-progress" id="queue-progress-${entry.videoId}">${entry.state === 'running' ? escapeHtml(queueProgress.get(entry.videoId) || '') : ''}</span>
+      <div class="queue-actions">
+        ${waiting ? `<button class="btn-queue-up" title="Move up" ${index === 0 ? 'disabled' : ''}>&#9650;</button>` : ''}
+        ${waiting ? `<button class="btn-queue-down" title="Move down" ${index === queue.length - 1 ? 'disabled' : ''}>&#9660;</button>` : ''}
+        ${entry.state === 'paused'
+          ? '<button class="btn-queue-resume" title="Resume">&#9654;</button>'
+          : `<button class="btn-queue-pause" title="Pause" ${entry.stop ? 'disabled' : ''}>&#10074;&#10074;</button>`}
+        <button class="btn-queue-cancel" title="Cancel" ${entry.stop ? 'disabled' : ''}>&times;</button>
+      </div>
+    `;
+
+    const actions = {
+      '.btn-queue-up': { action: 'moveQueuedJob', offset: -1 },
+      '.btn-queue-down': { action: 'moveQueuedJob', offset: 1 },
+      '.btn-queue-pause': { action: 'pauseQueuedJob' },
+      '.btn-queue-resume': { action: 'resumeQueuedJob' },
+      '.btn-queue-cancel': { action: 'cancelQueuedJob' },
+    };
+    for (const [selector, message] of Object.entries(actions)) {
+      const button = row.querySelector(selector);
+      if (!button) continue;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        // The worker answers with queueChanged
+        chrome.runtime.sendMessage({ ...message, id: entry.id });
+      });
     }
 
+    return row;
+  }
+
+  // ── Download ───────────────────────────────────────────────────────────
+
+  // One click: HLS/DASH streams are downloaded at the preferred quality
+  // from the settings, with the audio and subtitles left to the defaults,
+  // and saved under the filename template without a Save As dialog
+  function downloadVideo(video) {
+    video = withClip(video);
+    if (video) startDownload(video);
+  }
+
+  // Choose quality…: the quality, audio tracks or subtitles of a stream are
+  // picked before it is downloaded, and the file is saved with Save As
+  async function chooseQuality(video) {
+    video = withClip(video);
+    if (!video) return;
+    video = { ...video, saveAs: true };
     if (video.type === 'dash') {
       await handleDASHDownload(video);
-      return;
+    } else {
+      await handleHLSDownload(video);
     }
+  }
 
-    // Direct download
-    startDownload(video);
+  // The video to download, with the time range of an open clip; null when
+  // it is busy or the range is invalid
+  function withClip(video) {
+    if (downloadingIds.has(video.id) || recordings.has(video.id)) return null;
+    const clip = readClip(video.id);
+    if (clip && clip.error) {
+      showError(video.id, clip.error);
+      return null;
+    }
+    return clip ? { ...video, clip } : video;
   }
 
-  async function handleHLSDownload(video) {
+  async function handleHLSDownload(video, start = startDownload) {
     // Fetch available qualities (pass tabId for authenticated fetch)
     chrome.runtime.sendMessage(
       { action: 'getHLSQualities', url: video.url, tabId: currentTabId },
       (response) => {
         if (response && response.qualities && response.qualities.length > 0) {
+          // Subtitle renditions are offered alongside the video qualities
+          const subtitles = start === startDownload ? response.subtitles : [];
           showQualityPicker(video, response.qualities, (selectedUrl) => {
-            startDownload({ ...video, selectedQuality: selectedUrl });
-          });
+            // Several audio renditions (languages, audio description): let the user choose
+            const quality = response.qualities.find(q => q.url === selectedUrl);
+            const audioTracks = (quality && quality.audioTracks) || [];
+            if (audioTracks.length > 1) {
+              showAudioPicker(video, audioTracks, (names) => {
+                start({ ...video, selectedQuality: selectedUrl, selectedAudio: names });
+              });
+            } else {
+              start({ ...video, selectedQuality: selectedUrl });
+            }
+          }, subtitles);
         } else {
           // Single quality, download directly
-          startDownload(video);
+          start(video);
         }
       }
     );
   }
 
-  async function handleDASHDownload(video) {
+  async function handleDASHDownload(video, start = startDownload) {
     chrome.runtime.sendMessage(
       { action: 'getDASHQualities', url: video.url, tabId: currentTabId },
       (response) => {
-        if (response && response.qualities && response.qualities.length > 0) {
-          showQualityPicker(video, response.qualities, (selectedId) => {
-            startDownload({ ...video, selectedQuality: selectedId });
+        const qualities = (response && response.qualities) || [];
+        const videoReps = qualities.filter(q => q.isVideo);
+        const audioReps = qualities.filter(q => q.isAudio && !q.isVideo);
+        // Video and audio are separate representations: pick one of each
+        // (recordings capture a single representation)
+        if (start === startDownload && videoReps.length > 0 && audioReps.length > 0) {
+          showDASHPicker(video, videoReps, audioReps, (videoId, audioId) => {
+            start({ ...video, selectedQuality: videoId, selectedAudio: audioId });
+          });
+        } else if (qualities.length > 0) {
+          showQualityPicker(video, qualities, (selectedId) => {
+            start({ ...video, selectedQuality: selectedId });
           });
         } else {
-          startDownload(video);
+          start(video);
         }
       }
     );
   }
 
-  function showQualityPicker(video, qualities, onSelect) {
+  // video.clip from the card's time range: { start, end } in seconds, `end`
+  // null for the end of the stream; null for no range, or { error }
+  function readClip(videoId) {
+    const range = clips.get(videoId);
+    if (!range || (!range.start.trim() && !range.end.trim())) return null;
+    const start = range.start.trim() ? parseTime(range.start) : 0;
+    const end = range.end.trim() ? parseTime(range.end) : null;
+    if (Number.isNaN(start) || Number.isNaN(end)) return { error: 'Enter clip times as seconds, m:ss or h:mm:ss' };
+    if (end !== null && end <= start) return { error: 'The clip must end after it starts' };
+    return { start, end };
+  }
+
+  function showQualityPicker(video, qualities, onSelect, subtitles = []) {
     const card = document.querySelector(`[data-video-id="${video.id}"]`);
     if (!card) return;
 
@@ -224,11 +533,162 @@
       `;
       item.addEventListener('click', () => {
         list.remove();
-        onSelect(q.url || q.id);
+        onSelect(q.id || q.url);
       });
       list.appendChild(item);
     }
 
+    if (subtitles && subtitles.length > 0) {
+      const heading = document.createElement('div');
+      heading.className = 'quality-heading';
+      heading.textContent = 'Subtitles';
+      list.appendChild(heading);
+
+      for (const sub of subtitles) {
+        const item = document.createElement('div');
+        item.className = 'quality-item';
+        item.innerHTML = `
+          <span class="q-label">${escapeHtml(sub.name)}</span>
+          <span class="q-info">${escapeHtml([sub.language, sub.forced ? 'forced' : ''].filter(Boolean).join(' · '))}</span>
+        `;
+        item.addEventListener('click', () => {
+          list.remove();
+          downloadSubtitles(video, sub);
+        });
+        list.appendChild(item);
+      }
+    }
+
+    attachPicker(card, list);
+  }
+
+  function showAudioPicker(video, audioTracks, onConfirm) {
+    const card = document.querySelector(`[data-video-id="${video.id}"]`);
+    if (!card) return;
+
+    const list = document.createElement('div');
+    list.className = 'quality-list show';
+
+    const heading = document.createElement('div');
+    heading.className = 'quality-heading';
+    heading.textContent = 'Audio tracks';
+    list.appendChild(heading);
+
+    const preselected = preferredAudio(audioTracks);
+    const checkboxes = [];
+    for (const track of audioTracks) {
+      const item = document.createElement('label');
+      item.className = 'quality-item';
+      const details = [track.language];
+      if (track.characteristics.includes('public.accessibility.describes-video')) details.push('audio description');
+      item.innerHTML = `
+        <span class="q-label"><input type="checkbox"> ${escapeHtml(track.name)}</span>
+        <span class="q-info">${escapeHtml(details.filter(Boolean).join(' · '))}</span>
+      `;
+      const checkbox = item.querySelector('input');
+      checkbox.checked = track === preselected;
+      checkbox.value = track.name;
+      checkboxes.push(checkbox);
+      list.appendChild(item);
+    }
+
+    const confirm = document.createElement('button');
+    confirm.className = 'btn-download quality-confirm';
+    confirm.textContent = 'Download';
+    confirm.addEventListener('click', () => {
+      const names = checkboxes.filter(c => c.checked).map(c => c.value);
+      if (names.length === 0) return;
+      list.remove();
+      onConfirm(names);
+    });
+    list.appendChild(confirm);
+
+    attachPicker(card, list);
+  }
+
+  // Mirrors the background's choice when no picker is shown
+  function showDASHPicker(video, videoReps, audioReps, onConfirm) {
+    const card = document.querySelector(`[data-video-id="${video.id}"]`);
+    if (!card) return;
+
+    const list = document.createElement('div');
+    list.className = 'quality-list show';
+
+    const addSection = (title, reps, preselected) => {
+      const heading = document.createElement('div');
+      heading.className = 'quality-heading';
+      heading.textContent = title;
+      list.appendChild(heading);
+
+      const radios = [];
+      for (const q of reps) {
+        const item = document.createElement('label');
+        item.className = 'quality-item';
+        item.innerHTML = `
+          <span class="q-label"><input type="radio"> ${escapeHtml(q.label || q.resolution || 'Unknown')}</span>
+          <span class="q-info">${q.bandwidth ? Math.round(q.bandwidth / 1000) + ' kbps' : ''}</span>
+        `;
+        const radio = item.querySelector('input');
+        radio.name = `${title}-${video.id}`;
+        radio.value = q.id || q.url;
+        radio.checked = q === preselected;
+        radios.push(radio);
+        list.appendChild(item);
+      }
+      return radios;
+    };
+
+    const defaultVideo = videoReps[0];
+    const videoRadios = addSection('Video', videoReps, defaultVideo);
+    const audioRadios = addSection('Audio', audioReps, preferredDASHAudio(audioReps, defaultVideo));
+
+    const confirm = document.createElement('button');
+    confirm.className = 'btn-download quality-confirm';
+    confirm.textContent = 'Download';
+    confirm.addEventListener('click', () => {
+      const videoRadio = videoRadios.find(r => r.checked);
+      const audioRadio = audioRadios.find(r => r.checked);
+      if (!videoRadio) return;
+      list.remove();
+      onConfirm(videoRadio.value, audioRadio ? audioRadio.value : null);
+    });
+    list.appendChild(confirm);
+
+    attachPicker(card, list);
+  }
+
+  // Same order of preference as the background's default: an audio track in
+  // the video's container, the preferred language, the main role, bitrate
+  function preferredDASHAudio(audioReps, videoRep) {
+    const container = (q) => (/webm/i.test(q.mimeType) ? 'webm' : 'mp4');
+    const narrow = (reps, test) => (reps.some(test) ? reps.filter(test) : reps);
+
+    let candidates = narrow(audioReps, q => container(q) === container(videoRep));
+    const preferred = (settings.preferredAudioLanguage || '').trim().toLowerCase();
+    if (preferred) {
+      candidates = narrow(candidates, (q) => {
+        const language = q.language.toLowerCase();
+        return language === preferred || language.startsWith(preferred + '-');
+      });
+    }
+    candidates = narrow(candidates, q => q.role === 'main');
+    return candidates[0];
+  }
+
+  function preferredAudio(audioTracks) {
+    const preferred = (settings.preferredAudioLanguage || '').trim().toLowerCase();
+    if (preferred) {
+      const matches = audioTracks.filter((t) => {
+        const language = t.language.toLowerCase();
+        return language === preferred || language.startsWith(preferred + '-');
+      });
+      const main = matches.find(t => !t.characteristics.includes('public.accessibility.describes-video'));
+      if (main || matches.length > 0) return main || matches[0];
+    }
+    return audioTracks.find(t => t.isDefault) || audioTracks[0];
+  }
+
+  function attachPicker(card, list) {
     const actionsDiv = card.querySelector('.video-actions');
     actionsDiv.style.position = 'relative';
     actionsDiv.appendChild(list);
@@ -257,25 +717,152 @@
     chrome.runtime.sendMessage(
       { action: 'downloadVideo', video, tabId: currentTabId },
       (response) => {
-        downloadingIds.delete(video.id);
-        if (card) card.classList.remove('downloading');
-
-        if (response && response.error) {
-          showError(video.id, response.error);
-        } else if (response && response.demuxed) {
-          // Demuxed HLS: video and audio saved as separate files
-          showInfo(video.id, response.message || 'Saved as separate video + audio files');
-        } else if (response && response.warning) {
-          showInfo(video.id, response.warning);
-        } else {
-          // Download started
-          if (card) {
-            const progressContainer = card.querySelector('.progress-container');
-            if (progressContainer) {
-              progressContainer.classList.remove('active');
-            }
-          }
-        }
+        // Queued HLS/DASH downloads finish with jobFinished
+        if (response && (response.started || response.queued)) return;
+        finishDownload(video.id, response);
+      }
+    );
+  }
+
+  function finishDownload(videoId, response) {
+    downloadingIds.delete(videoId);
+    const card = document.querySelector(`[data-video-id="${videoId}"]`);
+    if (card) card.classList.remove('downloading');
+    showResult(videoId, response);
+  }
+
+  function showResult(videoId, response) {
+    if (response && (response.paused || response.cancelled)) {
+      showInfo(videoId, response.error);
+    } else if (response && response.error) {
+      showError(videoId, response.error);
+    } else if (response && response.demuxed) {
+      // Demuxed HLS: video and audio saved as separate files
+      showInfo(videoId, response.message || 'Saved as separate video + audio files');
+    } else if (response && response.warning) {
+      showInfo(videoId, response.warning);
+    } else {
+      // Download started
+      const container = document.getElementById(`progress-${videoId}`);
+      if (container) container.classList.remove('active');
+    }
+  }
+
+  // ── Paused Downloads ───────────────────────────────────────────────────
+
+  function resumeJob(job) {
+    if (downloadingIds.has(job.id)) return;
+    downloadingIds.add(job.id);
+
+    const card = document.querySelector(`[data-video-id="${job.id}"]`);
+    if (card) {
+      card.classList.add('downloading');
+      card.querySelector('.btn-download').disabled = true;
+    }
+    updateProgress(job.id, job.total > 0 ? Math.round((job.done / job.total) * 100) : 0, job.done, job.total);
+
+    chrome.runtime.sendMessage({ action: 'resumeJob', jobId: job.id }, (response) => {
+      if (response && response.queued) return; // finishes with jobFinished
+      finishResume(job.id, response);
+    });
+  }
+
+  // Also called for videos whose download was paused in the queue
+  function finishResume(videoId, response) {
+    const isPausedJob = pausedJobs.some(job => job.id === videoId);
+    finishDownload(videoId, response);
+    if (!isPausedJob) return;
+
+    const card = document.querySelector(`[data-video-id="${videoId}"]`);
+    if (response && response.error && !response.cancelled) {
+      // Still paused, and resumable from where it stopped
+      if (card) card.querySelector('.btn-download').disabled = false;
+      return;
+    }
+    pausedJobs = pausedJobs.filter(job => job.id !== videoId);
+    if (card && (response?.cancelled || (!response?.warning && !response?.demuxed))) {
+      card.remove();
+      if (videos.length === 0 && pausedJobs.length === 0) render();
+    }
+  }
+
+  function discardJob(jobId) {
+    chrome.runtime.sendMessage({ action: 'discardJob', jobId }, (response) => {
+      if (response && response.error) {
+        showError(jobId, response.error);
+        return;
+      }
+      pausedJobs = pausedJobs.filter(job => job.id !== jobId);
+      render();
+    });
+  }
+
+  // ── Live Recording ─────────────────────────────────────────────────────
+
+  function recordVideo(video) {
+    if (downloadingIds.has(video.id) || recordings.has(video.id)) return;
+    // The quality is picked, and the recording saved with Save As
+    video = { ...video, saveAs: true };
+    if (video.type === 'dash') {
+      handleDASHDownload(video, startRecording);
+    } else {
+      handleHLSDownload(video, startRecording);
+    }
+  }
+
+  function startRecording(video) {
+    recordings.set(video.id, { elapsed: 0, segments: 0 });
+    markRecording(video.id);
+
+    // jobFinished arrives once the user stops or the stream ends
+    chrome.runtime.sendMessage(
+      { action: 'startRecording', video, tabId: currentTabId },
+      (response) => {
+        if (response && response.started) return;
+        finishRecording(video.id, response);
+      }
+    );
+  }
+
+  function finishRecording(videoId, response) {
+    recordings.delete(videoId);
+    unmarkRecording(videoId);
+    showResult(videoId, response);
+  }
+
+  function stopRecording(videoId) {
+    const text = document.getElementById(`progress-text-${videoId}`);
+    if (text) text.textContent = 'Stopping — saving recording...';
+    chrome.runtime.sendMessage({ action: 'stopRecording', videoId });
+  }
+
+  function markRecording(videoId) {
+    const card = document.querySelector(`.video-card[data-video-id="${videoId}"]`);
+    if (!card) return;
+    card.classList.add('recording');
+    const btnRecord = card.querySelector('.btn-record');
+    if (btnRecord) btnRecord.innerHTML = '&#9632; Stop';
+    card.querySelector('.btn-download').disabled = true;
+    updateRecording(videoId);
+  }
+
+  function unmarkRecording(videoId) {
+    const card = document.querySelector(`.video-card[data-video-id="${videoId}"]`);
+    if (!card) return;
+    card.classList.remove('recording');
+    const btnRecord = card.querySelector('.btn-record');
+    if (btnRecord) btnRecord.innerHTML = '&#9679; Record';
+    card.querySelector('.btn-download').disabled = false;
+  }
+
+  function downloadSubtitles(video, subtitle) {
+    const container = document.getElementById(`progress-${video.id}`);
+    if (container) container.classList.add('active');
+
+    chrome.runtime.sendMessage(
+      { action: 'downloadSubtitles', video, subtitle, tabId: currentTabId },
+      (response) => {
+        if (!response || !response.started) showResult(video.id, response);
       }
     );
   }
@@ -296,6 +883,22 @@
     if (fill) fill.style.width = `${percent}%`;
     if (text) text.textContent = `${percent}% (${current}/${total} segments)`;
     if (container) container.classList.add('active');
+
+    queueProgress.set(videoId, `${percent}%`);
+    const queued = document.getElementById(`queue-progress-${videoId}`);
+    if (queued) queued.textContent = `${percent}%`;
+  }
+
+  function updateRecording(videoId) {
+    const r = recordings.get(videoId);
+    const text = document.getElementById(`progress-text-${videoId}`);
+    const container = document.getElementById(`progress-${videoId}`);
+    if (!r) return;
+    if (text) {
+      text.textContent = `REC ${formatElapsed(r.elapsed)} (${r.segments} segments)`;
+      text.style.color = '';
+    }
+    if (container) container.classList.add('active');
   }
 
   function showError(videoId, message) {
@@ -350,6 +953,21 @@
     return str.length > max ? str.substring(0, max) + '...' : str;
   }
 
+  function formatElapsed(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = total % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+  }
+
+  // Seconds from "90", "1:30" or "0:01:30"; NaN for anything else
+  function parseTime(text) {
+    const parts = text.trim().split(':');
+    if (parts.length > 3 || !parts.every(part => /^\d+(\.\d+)?$/.test(part))) return NaN;
+    return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+  }
+
   function simplifyMime(mime) {
     return mime.split(';')[0].replace('video/', '').replace('audio/', '').replace('application/', '');
   }